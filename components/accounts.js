@@ -1,485 +1,2239 @@
 const crypto = require('crypto');
 const fs = require('fs');
+const EventEmitter = require('events');
 const path = require('path');
 const os = require('os');
+const { execFileSync } = require('child_process');
+const { StorageError } = require('./errors');
 
-let encryptionKey = null;
-let accounts = [];
-let activeAccount = null;
-let storageConfig = {
-    type: 'file',
-    location: path.join(os.homedir(), '.minecraft-launcher-accounts'),
-    electronStore: null,
-    customHandler: null,
-    initialized: false
-};
+const CHANGE_EVENTS = ['added', 'removed', 'activeChanged', 'tokensUpdated', 'profileUpdated', 'settingsUpdated', 'accountsChanged'];
 
 const ALGORITHM = 'aes-256-gcm';
 const ACCOUNTS_FILE_NAME = 'accounts.json';
+const BACKUP_FILE_SUFFIX = '.bak';
+const LOCK_FILE_SUFFIX = '.lock';
+const LOCK_TIMEOUT = 5000;
+const LOCK_RETRY_INTERVAL = 25;
+const LOCK_STALE_AFTER = 30000;
+const WATCH_DEBOUNCE = 100;
 const ENCRYPTION_KEY_FILE_NAME = '.key';
+const OFFLINE_USERNAME_PATTERN = /^[A-Za-z0-9_]{3,16}$/;
+const KDF_DEFAULTS = { N: 32768, r: 8, p: 1 };
+// Upper bounds for parameters read from files, so a crafted file cannot make scrypt use gigabytes of memory
+const KDF_LIMITS = { N: 1 << 20, r: 16, p: 4, memory: 256 * 1024 * 1024 };
+const STORAGE_VERSION = 2;
+const STORAGE_TYPES = ['file', 'electron', 'memory', 'custom', 'keychain', 'async'];
+const BUNDLE_FORMAT = 'dilial-accounts';
+const IMPORT_MODES = ['merge', 'replace'];
+const CONFLICT_RESOLUTIONS = ['skip', 'overwrite', 'newer'];
 
-function getAccountsFilePath() {
-    return path.join(storageConfig.location, ACCOUNTS_FILE_NAME);
-}
+// Launcher settings stored with each account
+const SETTINGS_SCHEMA = {
+    nickname: { type: 'string', maxLength: 32 },
+    preferredProfile: { type: 'string', maxLength: 128 },
+    skinVariant: { type: 'string', values: ['classic', 'slim'] },
+    lastServer: { type: 'string', maxLength: 255 },
+    jvmArgs: { type: 'array', maxItems: 64 }
+};
 
-function getKeyFilePath() {
-    return path.join(storageConfig.location, ENCRYPTION_KEY_FILE_NAME);
+function sleep(ms) {
+    return new Promise(resolve => setTimeout(resolve, ms));
 }
 
-function encrypt(text) {
+/**
+ * Whether a lock file was left behind by a process that no longer runs
+ */
+function isLockStale(lockPath) {
     try {
-        const iv = crypto.randomBytes(16);
-        const cipher = crypto.createCipheriv(ALGORITHM, encryptionKey, iv);
-        
-        let encrypted = cipher.update(text, 'utf8', 'hex');
-        encrypted += cipher.final('hex');
-        
-        const authTag = cipher.getAuthTag().toString('hex');
-        
-        return JSON.stringify({
-            iv: iv.toString('hex'),
-            encrypted,
-            authTag
-        });
+        const owner = JSON.parse(fs.readFileSync(lockPath, 'utf8'));
+        process.kill(owner.pid, 0);
+        return Date.now() - owner.createdAt > LOCK_STALE_AFTER;
     } catch (error) {
-        throw new Error(`Encryption error: ${error.message}`);
+        if (error.code === 'ESRCH') {
+            return true;
+        }
+        if (error.code === 'ENOENT' || error.code === 'EPERM') {
+            return false;
+        }
+        
+        // The owner may still be writing the lock file
+        try {
+            return Date.now() - fs.statSync(lockPath).mtimeMs > LOCK_STALE_AFTER;
+        } catch (statError) {
+            return false;
+        }
     }
 }
 
-function decrypt(encryptedJson) {
+/**
+ * Writes a file through a temporary file and a rename, so a crash never leaves it half written
+ */
+function writeFileAtomic(filePath, data) {
+    const tempPath = `${filePath}.${process.pid}.tmp`;
+    
     try {
-        const { iv, encrypted, authTag } = JSON.parse(encryptedJson);
-        
-        const decipher = crypto.createDecipheriv(
-            ALGORITHM, 
-            encryptionKey, 
-            Buffer.from(iv, 'hex')
-        );
-        
-        decipher.setAuthTag(Buffer.from(authTag, 'hex'));
-        
-        let decrypted = decipher.update(encrypted, 'hex', 'utf8');
-        decrypted += decipher.final('utf8');
-        
-        return decrypted;
+        fs.writeFileSync(tempPath, data, { mode: 0o600 });
+        fs.renameSync(tempPath, filePath);
     } catch (error) {
-        throw new Error(`Decryption error: ${error.message}`);
+        fs.rmSync(tempPath, { force: true });
+        throw error;
     }
 }
 
-function readEncryptedData() {
-    try {
-        switch (storageConfig.type) {
-            case 'file':
-                if (fs.existsSync(getAccountsFilePath())) {
-                    const encryptedData = fs.readFileSync(getAccountsFilePath(), 'utf8');
-                    if (encryptedData.trim()) {
-                        return encryptedData;
-                    }
-                }
-                break;
-            case 'electron':
-                if (storageConfig.electronStore && storageConfig.electronStore.has('accounts')) {
-                    return storageConfig.electronStore.get('accounts');
-                }
-                break;
-            case 'custom':
-                if (storageConfig.customHandler && typeof storageConfig.customHandler.read === 'function') {
-                    return storageConfig.customHandler.read();
-                }
-                break;
-        }
-        return null;
-    } catch (error) {
-        console.error("Error reading encrypted data:", error.message);
+function generateNewEncryptionKey() {
+    return crypto.randomBytes(32);
+}
+
+function toKeyBuffer(key) {
+    // An empty key is what is left after the key was removed for passphrase mode
+    if (!key || key.length === 0) {
         return null;
     }
+    return Buffer.isBuffer(key) ? key : Buffer.from(key, 'hex');
 }
 
-function writeEncryptedData(encryptedData) {
-    try {
-        switch (storageConfig.type) {
-            case 'file':
-                fs.writeFileSync(getAccountsFilePath(), encryptedData, { mode: 0o600 });
-                break;
-            case 'electron':
-                if (storageConfig.electronStore) {
-                    storageConfig.electronStore.set('accounts', encryptedData);
-                }
-                break;
-            case 'custom':
-                if (storageConfig.customHandler && typeof storageConfig.customHandler.write === 'function') {
-                    storageConfig.customHandler.write(encryptedData);
-                }
-                break;
-        }
-        return true;
-    } catch (error) {
-        console.error("Error writing encrypted data:", error.message);
+// Each migration upgrades the decrypted payload from the version it is keyed by to the next one
+const MIGRATIONS = {
+    // Version 1 stored the bare account list without a version
+    1: payload => ({ accounts: payload })
+};
+
+/**
+ * Whether key derivation parameters read from a file are scrypt parameters within KDF_LIMITS
+ */
+function isValidKdfParams(params) {
+    if (!params || params.algorithm !== 'scrypt') {
         return false;
     }
+    
+    const { N, r, p, salt } = params;
+    
+    return typeof salt === 'string' && /^(?:[0-9a-f]{2}){16,64}$/i.test(salt)
+        && Number.isInteger(N) && N > 1 && (N & (N - 1)) === 0 && N <= KDF_LIMITS.N
+        && Number.isInteger(r) && r >= 1 && r <= KDF_LIMITS.r
+        && Number.isInteger(p) && p >= 1 && p <= KDF_LIMITS.p
+        && 128 * N * r <= KDF_LIMITS.memory;
 }
 
-function readEncryptionKey() {
+function parseEnvelope(encryptedData) {
     try {
-        switch (storageConfig.type) {
-            case 'file':
-                if (fs.existsSync(getKeyFilePath())) {
-                    return fs.readFileSync(getKeyFilePath());
-                }
-                break;
-            case 'electron':
-                if (storageConfig.electronStore && storageConfig.electronStore.has('encryptionKey')) {
-                    const keyStr = storageConfig.electronStore.get('encryptionKey');
-                    return Buffer.from(keyStr, 'hex');
-                }
-                break;
-            case 'custom':
-                if (storageConfig.customHandler && typeof storageConfig.customHandler.readKey === 'function') {
-                    return storageConfig.customHandler.readKey();
-                }
-                break;
+        const envelope = JSON.parse(encryptedData);
+        if (!envelope || typeof envelope !== 'object' || !envelope.encrypted) {
+            throw new Error('missing encrypted data');
         }
-        return null;
+        if (envelope.kdf && !isValidKdfParams(envelope.kdf)) {
+            throw new Error('invalid key derivation parameters');
+        }
+        return envelope;
     } catch (error) {
-        console.error("Error reading encryption key:", error.message);
-        return null;
+        throw new StorageError(`The account file is corrupted: ${error.message}`, 'CORRUPTED');
     }
 }
 
-function writeEncryptionKey(key) {
-    try {
-        switch (storageConfig.type) {
-            case 'file':
-                fs.writeFileSync(getKeyFilePath(), key, { mode: 0o600 });
-                fs.chmodSync(getKeyFilePath(), 0o600);
-                break;
-            case 'electron':
-                if (storageConfig.electronStore) {
-                    const keyStr = key.toString('hex');
-                    storageConfig.electronStore.set('encryptionKey', keyStr);
-                }
-                break;
-            case 'custom':
-                if (storageConfig.customHandler && typeof storageConfig.customHandler.writeKey === 'function') {
-                    storageConfig.customHandler.writeKey(key);
-                }
-                break;
-        }
-        return true;
-    } catch (error) {
-        console.error("Error writing encryption key:", error.message);
-        return false;
+function migratePayload(payload, version) {
+    let migrated = payload;
+    
+    for (let from = version; from < STORAGE_VERSION; from++) {
+        migrated = MIGRATIONS[from](migrated);
     }
+    
+    return migrated;
 }
 
-function generateNewEncryptionKey() {
-    return crypto.randomBytes(32);
+function createKdfParams() {
+    return {
+        algorithm: 'scrypt',
+        salt: crypto.randomBytes(16).toString('hex'),
+        ...KDF_DEFAULTS
+    };
 }
 
-function saveAccounts() {
+function deriveKey(passphrase, params) {
+    return new Promise((resolve, reject) => {
+        crypto.scrypt(passphrase, Buffer.from(params.salt, 'hex'), 32, {
+            N: params.N,
+            r: params.r,
+            p: params.p,
+            maxmem: 256 * params.N * params.r
+        }, (error, key) => error ? reject(error) : resolve(key));
+    });
+}
+
+async function openBundle(blob, passphrase) {
+    let bundle;
     try {
-        if (storageConfig.type === 'memory') {
-            return true;
-        }
-        
-        const encryptedData = encrypt(JSON.stringify(accounts));
-        return writeEncryptedData(encryptedData);
+        bundle = typeof blob === 'string' ? JSON.parse(blob) : blob;
     } catch (error) {
-        console.error("Error saving accounts:", error.message);
-        return false;
+        bundle = null;
+    }
+    
+    if (!bundle || bundle.format !== BUNDLE_FORMAT || !bundle.kdf) {
+        throw new Error("The data is not an account export");
     }
+    
+    // Checked before the key is derived, the bundle comes from another machine
+    if (!isValidKdfParams(bundle.kdf)) {
+        throw new Error("The export has invalid key derivation parameters");
+    }
+    
+    if (bundle.version > STORAGE_VERSION) {
+        throw new Error(`The export has version ${bundle.version}, this version of the library supports up to ${STORAGE_VERSION}`);
+    }
+    
+    const key = await deriveKey(passphrase, bundle.kdf);
+    
+    let decrypted;
+    try {
+        const decipher = crypto.createDecipheriv(ALGORITHM, key, Buffer.from(bundle.iv, 'hex'));
+        decipher.setAuthTag(Buffer.from(bundle.authTag, 'hex'));
+        decrypted = decipher.update(bundle.encrypted, 'hex', 'utf8');
+        decrypted += decipher.final('utf8');
+    } catch (error) {
+        throw new Error("Wrong passphrase");
+    }
+    
+    const payload = JSON.parse(decrypted);
+    const { accounts: imported } = migratePayload({ accounts: payload.accounts }, bundle.version);
+    
+    return { accounts: imported, activeAccount: payload.activeAccount };
 }
 
-function initializeAccountStorage() {
-    try {
-        if (storageConfig.initialized) return true;
+function isNewer(account, other) {
+    return Date.parse(account.lastUsed || 0) > Date.parse(other.lastUsed || 0);
+}
+
+/**
+ * Checks settings against the settings schema. null is accepted for every setting and clears it.
+ * @param {Object} settings - Settings to check
+ * @returns {string[]} Problems found, empty if the settings are valid
+ */
+function validateSettings(settings) {
+    if (!settings || typeof settings !== 'object' || Array.isArray(settings)) {
+        return ['Settings must be an object'];
+    }
+    
+    const errors = [];
+    
+    for (const [key, value] of Object.entries(settings)) {
+        const rule = SETTINGS_SCHEMA[key];
         
-        if (storageConfig.type === 'file') {
-            if (!fs.existsSync(storageConfig.location)) {
-                fs.mkdirSync(storageConfig.location, { recursive: true, mode: 0o700 });
+        if (!rule) {
+            errors.push(`Unknown setting: ${key}`);
+        } else if (value === null) {
+            continue;
+        } else if (rule.type === 'array') {
+            if (!Array.isArray(value) || !value.every(item => typeof item === 'string')) {
+                errors.push(`${key} must be an array of strings`);
+            } else if (value.length > rule.maxItems) {
+                errors.push(`${key} can have at most ${rule.maxItems} entries`);
             }
+        } else if (typeof value !== 'string') {
+            errors.push(`${key} must be a string`);
+        } else if (rule.values && !rule.values.includes(value)) {
+            errors.push(`${key} must be one of ${rule.values.join(', ')}`);
+        } else if (rule.maxLength && value.length > rule.maxLength) {
+            errors.push(`${key} can be at most ${rule.maxLength} characters`);
         }
-        
-        let existingKey = readEncryptionKey();
-        
-        if (!existingKey) {
-            encryptionKey = generateNewEncryptionKey();
-            writeEncryptionKey(encryptionKey);
-        } else {
-            encryptionKey = existingKey;
-        }
-        
-        const encryptedData = readEncryptedData();
-        
-        if (encryptedData) {
-            try {
-                accounts = JSON.parse(decrypt(encryptedData));
-                activeAccount = accounts.find(acc => acc.active) || null;
-            } catch (error) {
-                console.error("Error parsing account data, resetting accounts:", error.message);
-                accounts = [];
-                activeAccount = null;
-                saveAccounts();
-            }
+    }
+    
+    return errors;
+}
+
+function applySettings(current, changes) {
+    const settings = { ...current };
+    
+    for (const [key, value] of Object.entries(changes)) {
+        if (value === null) {
+            delete settings[key];
         } else {
-            accounts = [];
-            activeAccount = null;
-            saveAccounts();
+            settings[key] = Array.isArray(value) ? [...value] : value;
         }
-        
-        storageConfig.initialized = true;
-        return true;
-    } catch (error) {
-        console.error("Error initializing account storage:", error.message);
-        return false;
     }
+    
+    return settings;
+}
+
+// Every setting, with null or an empty list for the ones that are not set
+function toSettings(settings = {}) {
+    return {
+        nickname: settings.nickname || null,
+        preferredProfile: settings.preferredProfile || null,
+        skinVariant: settings.skinVariant || null,
+        lastServer: settings.lastServer || null,
+        jvmArgs: settings.jvmArgs ? [...settings.jvmArgs] : []
+    };
 }
 
-function configureStorage(config = {}) {
-    if (config.type && ['file', 'electron', 'memory', 'custom'].includes(config.type)) {
-        storageConfig.type = config.type;
+/**
+ * Builds a stored account record from auth data, as addAccount and bundle imports save it
+ * @param {Object} authData - Auth data of the account
+ * @param {Object} existing - Stored record of the same account, whose settings are kept
+ * @returns {Object} Inactive account record
+ * @throws {Error} If tokens are missing without needsReauth, the account is a Mojang account without a custom server or the settings are invalid
+ */
+function toAccountRecord(authData, existing = null) {
+    // Accounts waiting for a new sign-in may have no access token, e.g. ones imported from other launchers
+    if (!authData || !authData.clientToken || !authData.uuid || (!authData.accessToken && !authData.needsReauth)) {
+        throw new Error("Invalid authentication data");
     }
     
-    if (config.location && typeof config.location === 'string') {
-        storageConfig.location = config.location;
+    const settingsErrors = authData.settings ? validateSettings(authData.settings) : [];
+    if (settingsErrors.length > 0) {
+        throw new Error(`Invalid settings: ${settingsErrors.join(', ')}`);
     }
     
-    if (config.electronStore) {
-        storageConfig.electronStore = config.electronStore;
-    }
+    // Mojang accounts only sign in through a custom Yggdrasil server now
+    const type = authData.authServer && (!authData.type || authData.type === 'mojang')
+        ? 'yggdrasil'
+        : authData.type || 'mojang';
     
-    if (config.customHandler) {
-        storageConfig.customHandler = config.customHandler;
+    if (type === 'mojang') {
+        throw new Error("Mojang accounts can no longer be added without a custom authentication server");
     }
     
-    storageConfig.initialized = false;
-    return initializeAccountStorage();
+    return {
+        uuid: authData.uuid,
+        username: authData.username,
+        type,
+        accessToken: authData.accessToken || null,
+        clientToken: authData.clientToken,
+        refreshToken: authData.refreshToken || null,
+        expiresAt: authData.expiresAt || null,
+        tokens: authData.tokens || null,
+        profile: authData.profile || null,
+        entitlements: authData.entitlements || null,
+        demo: Boolean(authData.demo),
+        authServer: authData.authServer || null,
+        needsReauth: Boolean(authData.needsReauth),
+        settings: applySettings(existing ? existing.settings : {}, authData.settings || {}),
+        active: false,
+        lastUsed: authData.lastUsed || null
+    };
 }
 
-async function addAccount(authData) {
-    try {
-        if (!storageConfig.initialized) {
-            if (!initializeAccountStorage()) {
-                throw new Error("Could not initialize account storage");
+function toAccountInfo(account) {
+    return {
+        uuid: account.uuid,
+        username: account.username,
+        nickname: (account.settings && account.settings.nickname) || null,
+        type: account.type,
+        active: account.active,
+        needsReauth: Boolean(account.needsReauth),
+        lastUsed: account.lastUsed
+    };
+}
+
+function toProfileInfo(account) {
+    return {
+        uuid: account.uuid,
+        username: account.username,
+        profile: account.profile || null,
+        entitlements: account.entitlements || null,
+        demo: Boolean(account.demo)
+    };
+}
+
+function isValidOfflineUsername(username) {
+    return typeof username === 'string' && OFFLINE_USERNAME_PATTERN.test(username);
+}
+
+/**
+ * Computes the UUID the game and servers in offline mode use for a username,
+ * the version 3 UUID of "OfflinePlayer:<name>"
+ * @param {string} username - Player name
+ * @returns {string} UUID without dashes
+ */
+function getOfflineUUID(username) {
+    const hash = crypto.createHash('md5').update(`OfflinePlayer:${username}`, 'utf8').digest();
+    hash[6] = (hash[6] & 0x0f) | 0x30;
+    hash[8] = (hash[8] & 0x3f) | 0x80;
+    return hash.toString('hex');
+}
+
+/**
+ * Creates an account manager with its own storage, encryption key and accounts, so several account
+ * stores can be used in one process
+ * @param {Object} config - Storage configuration, see configureStorage. Without it the default file
+ * storage is loaded on first use.
+ * @returns {EventEmitter} Account manager; its ready promise resolves with the result of configureStorage
+ */
+function createAccountManager(config = null) {
+    let encryptionKey = null;
+    let accounts = [];
+    let activeAccount = null;
+    let storageConfig = {
+        type: 'file',
+        location: path.join(os.homedir(), '.minecraft-launcher-accounts'),
+        electronStore: null,
+        customHandler: null,
+        asyncHandler: null,
+        keychain: null,
+        keychainService: 'dilial-api',
+        passphrase: false,
+        watch: true,
+        initialized: false
+    };
+
+    // Key derivation parameters of the passphrase mode, stored next to the encrypted data
+    let kdfParams = null;
+
+    let pendingWrite = Promise.resolve(true);
+    let storageError = null;
+
+    // Account data this process last read or wrote, to tell changes of other processes apart
+    let lastKnownData = null;
+    let lockDepth = 0;
+    let watcher = null;
+    let watchTimer = null;
+
+    /**
+     * The account manager is an EventEmitter. Events:
+     * added (account) - an account was added
+     * removed (account) - an account was removed
+     * activeChanged (account, previousUuid) - another account, or none, became active
+     * tokensUpdated ({ uuid, expiresAt, needsReauth }) - the tokens of an account changed
+     * profileUpdated ({ uuid, username, profile, entitlements, demo }) - the profile or ownership of an account changed
+     * settingsUpdated ({ uuid, settings }) - the launcher settings of an account changed
+     * accountsChanged (accounts) - the accounts were replaced, e.g. by another process, an import or a restore
+     */
+    const accountManager = new EventEmitter();
+
+    function getAccountsFilePath() {
+        return path.join(storageConfig.location, ACCOUNTS_FILE_NAME);
+    }
+
+    function getKeyFilePath() {
+        return path.join(storageConfig.location, ENCRYPTION_KEY_FILE_NAME);
+    }
+
+    function getBackupFilePath() {
+        return getAccountsFilePath() + BACKUP_FILE_SUFFIX;
+    }
+
+    function getLockFilePath() {
+        return getAccountsFilePath() + LOCK_FILE_SUFFIX;
+    }
+
+    function isFileStorage() {
+        return storageConfig.type === 'file' || storageConfig.type === 'keychain';
+    }
+
+    /**
+     * Creates the lock file, removing it first if its owner no longer runs
+     * @returns {boolean} Whether the lock was taken, false if someone else holds it
+     * @throws {StorageError} LOCK_FAILED if the lock file cannot be created
+     */
+    function tryAcquireLock() {
+        const lockPath = getLockFilePath();
+        
+        for (let attempt = 0; attempt < 2; attempt++) {
+            try {
+                const fd = fs.openSync(lockPath, 'wx', 0o600);
+                fs.writeSync(fd, JSON.stringify({ pid: process.pid, createdAt: Date.now() }));
+                fs.closeSync(fd);
+                return true;
+            } catch (error) {
+                if (error.code !== 'EEXIST') {
+                    throw new StorageError(`The account file cannot be locked: ${error.message}`, 'LOCK_FAILED');
+                }
+            }
+            
+            if (!isLockStale(lockPath)) {
+                return false;
             }
+            fs.rmSync(lockPath, { force: true });
         }
         
-        if (!authData || !authData.accessToken || !authData.clientToken || !authData.uuid) {
-            throw new Error("Invalid authentication data");
+        return false;
+    }
+
+    /**
+     * Takes the advisory lock of the account file, so only one process at a time reads, changes
+     * and writes it. The lock is reentrant within a process. Other backends are not locked.
+     * Used by synchronous methods, which cannot wait without blocking the event loop and so fail at once.
+     * @throws {StorageError} LOCKED if another process holds the lock
+     */
+    function acquireLock() {
+        if (!isFileStorage() || lockDepth++ > 0) {
+            return;
         }
         
-        const existingAccount = accounts.findIndex(acc => acc.uuid === authData.uuid);
-        
-        const account = {
-            uuid: authData.uuid,
-            username: authData.username,
-            type: authData.type || 'mojang',
-            accessToken: authData.accessToken,
-            clientToken: authData.clientToken,
-            refreshToken: authData.refreshToken || null,
-            expiresAt: authData.expiresAt || null,
-            profile: authData.profile || null,
-            active: true,
-            lastUsed: new Date().toISOString()
-        };
-        
-        if (existingAccount >= 0) {
-            accounts[existingAccount] = account;
-        } else {
-            accounts.forEach(acc => acc.active = false);
-            accounts.push(account);
+        try {
+            if (!tryAcquireLock()) {
+                throw new StorageError('The account file is locked by another process', 'LOCKED');
+            }
+        } catch (error) {
+            lockDepth--;
+            throw error;
         }
-        
-        activeAccount = account;
-        return saveAccounts();
-    } catch (error) {
-        console.error("Error adding account:", error.message);
-        return false;
     }
-}
 
-function removeAccount(uuid) {
-    try {
-        if (!storageConfig.initialized) {
-            if (!initializeAccountStorage()) {
-                throw new Error("Could not initialize account storage");
-            }
+    /**
+     * Takes the lock like acquireLock, waiting up to LOCK_TIMEOUT without blocking the event loop
+     * @returns {Promise<void>} Resolves once the lock is held
+     * @throws {StorageError} LOCKED if the lock is not released in time
+     */
+    async function acquireLockAsync() {
+        if (!isFileStorage()) {
+            return;
         }
         
-        const initialLength = accounts.length;
-        accounts = accounts.filter(acc => acc.uuid !== uuid);
-        
-        if (accounts.length === initialLength) {
-            return false;
-        }
+        const deadline = Date.now() + LOCK_TIMEOUT;
         
-        if (activeAccount && activeAccount.uuid === uuid) {
-            if (accounts.length > 0) {
-                accounts[0].active = true;
-                activeAccount = accounts[0];
-            } else {
-                activeAccount = null;
+        while (lockDepth === 0 && !tryAcquireLock()) {
+            if (Date.now() > deadline) {
+                throw new StorageError('The account file is locked by another process', 'LOCKED');
             }
+            
+            await sleep(LOCK_RETRY_INTERVAL);
         }
         
-        return saveAccounts();
-    } catch (error) {
-        console.error("Error removing account:", error.message);
-        return false;
+        lockDepth++;
     }
-}
 
-function getAccounts() {
-    try {
-        if (!storageConfig.initialized) {
-            if (!initializeAccountStorage()) {
-                throw new Error("Could not initialize account storage");
-            }
+    function releaseLock() {
+        if (!isFileStorage() || lockDepth === 0) {
+            return;
         }
         
-        return accounts.map(acc => ({
-            uuid: acc.uuid,
-            username: acc.username,
-            type: acc.type,
-            active: acc.active,
-            lastUsed: acc.lastUsed
-        }));
-    } catch (error) {
-        console.error("Error getting accounts:", error.message);
-        return [];
+        if (--lockDepth === 0) {
+            fs.rmSync(getLockFilePath(), { force: true });
+        }
     }
-}
 
-function getActiveAccount() {
-    try {
-        if (!storageConfig.initialized) {
-            if (!initializeAccountStorage()) {
-                throw new Error("Could not initialize account storage");
+    /**
+     * Keeps the previous account file as a backup before it is replaced
+     */
+    function rotateBackup() {
+        if (fs.existsSync(getAccountsFilePath())) {
+            fs.copyFileSync(getAccountsFilePath(), getBackupFilePath());
+            fs.chmodSync(getBackupFilePath(), 0o600);
+        }
+    }
+
+    /**
+     * Moves an unreadable account file out of the way, keeping it for manual recovery
+     */
+    function setAsideAccountsFile() {
+        if (fs.existsSync(getAccountsFilePath())) {
+            fs.renameSync(getAccountsFilePath(), `${getAccountsFilePath()}.corrupt-${Date.now()}`);
+        }
+    }
+
+    /**
+     * Whether the backend has to be initialized asynchronously: async handlers, and keychains
+     * injected as a keytar-compatible module
+     */
+    function isAsyncStorage() {
+        return storageConfig.type === 'async' || (storageConfig.type === 'keychain' && Boolean(storageConfig.keychain));
+    }
+
+    function getKeychainAccount() {
+        return path.resolve(storageConfig.location);
+    }
+
+    function readKeychainKey() {
+        try {
+            const output = execFileSync('secret-tool', [
+                'lookup', 'service', storageConfig.keychainService, 'account', getKeychainAccount()
+            ], { encoding: 'utf8', stdio: ['ignore', 'pipe', 'pipe'] });
+            
+            return output.trim() ? Buffer.from(output.trim(), 'hex') : null;
+        } catch (error) {
+            // secret-tool exits with 1 when no secret matches
+            if (error.status === 1 && !(error.stderr || '').trim()) {
+                return null;
             }
+            throw new Error(`secret-tool lookup failed: ${(error.stderr || '').trim() || error.message}`);
         }
-        
-        if (!activeAccount) {
+    }
+
+    function writeKeychainKey(key) {
+        execFileSync('secret-tool', [
+            'store', '--label', `${storageConfig.keychainService} account storage key`,
+            'service', storageConfig.keychainService, 'account', getKeychainAccount()
+        ], { input: key.toString('hex'), stdio: ['pipe', 'ignore', 'pipe'] });
+    }
+
+    /**
+     * Reads the key of a previous file storage. It is moved into the keychain so existing accounts stay readable.
+     * @returns {Buffer|null} Key of the file storage, or null if there is none
+     */
+    function takeFileKey() {
+        if (!fs.existsSync(getKeyFilePath())) {
             return null;
         }
-        
-        return {
-            uuid: activeAccount.uuid,
-            username: activeAccount.username,
-            type: activeAccount.type,
-            active: activeAccount.active,
-            lastUsed: activeAccount.lastUsed
-        };
-    } catch (error) {
-        console.error("Error getting active account:", error.message);
-        return null;
+        return fs.readFileSync(getKeyFilePath());
     }
-}
 
-function setActiveAccount(uuid) {
-    try {
-        if (!storageConfig.initialized) {
-            if (!initializeAccountStorage()) {
-                throw new Error("Could not initialize account storage");
+    function encrypt(text) {
+        try {
+            const iv = crypto.randomBytes(16);
+            const cipher = crypto.createCipheriv(ALGORITHM, encryptionKey, iv);
+            
+            let encrypted = cipher.update(text, 'utf8', 'hex');
+            encrypted += cipher.final('hex');
+            
+            const authTag = cipher.getAuthTag().toString('hex');
+            
+            return JSON.stringify({
+                version: STORAGE_VERSION,
+                ...(storageConfig.passphrase && kdfParams ? { kdf: kdfParams } : {}),
+                iv: iv.toString('hex'),
+                encrypted,
+                authTag
+            });
+        } catch (error) {
+            throw new Error(`Encryption error: ${error.message}`);
+        }
+    }
+
+    function decrypt(encryptedJson, key = encryptionKey) {
+        try {
+            const { iv, encrypted, authTag } = JSON.parse(encryptedJson);
+            
+            const decipher = crypto.createDecipheriv(
+                ALGORITHM, 
+                key, 
+                Buffer.from(iv, 'hex')
+            );
+            
+            decipher.setAuthTag(Buffer.from(authTag, 'hex'));
+            
+            let decrypted = decipher.update(encrypted, 'hex', 'utf8');
+            decrypted += decipher.final('utf8');
+            
+            return decrypted;
+        } catch (error) {
+            throw new Error(`Decryption error: ${error.message}`);
+        }
+    }
+
+    function readEncryptedData() {
+        try {
+            switch (storageConfig.type) {
+                case 'file':
+                case 'keychain':
+                    if (fs.existsSync(getAccountsFilePath())) {
+                        const encryptedData = fs.readFileSync(getAccountsFilePath(), 'utf8');
+                        if (encryptedData.trim()) {
+                            return encryptedData;
+                        }
+                    }
+                    break;
+                case 'electron':
+                    if (storageConfig.electronStore && storageConfig.electronStore.has('accounts')) {
+                        return storageConfig.electronStore.get('accounts');
+                    }
+                    break;
+                case 'custom':
+                    if (storageConfig.customHandler && typeof storageConfig.customHandler.read === 'function') {
+                        return storageConfig.customHandler.read();
+                    }
+                    break;
             }
+            return null;
+        } catch (error) {
+            // Treating an unreadable file as empty would overwrite it
+            throw new StorageError(`The account data cannot be read: ${error.message}`, 'READ_FAILED');
         }
-        
-        const account = accounts.find(acc => acc.uuid === uuid);
-        if (!account) {
+    }
+
+    function writeEncryptedData(encryptedData) {
+        try {
+            switch (storageConfig.type) {
+                case 'file':
+                case 'keychain':
+                    rotateBackup();
+                    writeFileAtomic(getAccountsFilePath(), encryptedData);
+                    lastKnownData = encryptedData;
+                    break;
+                case 'electron':
+                    if (storageConfig.electronStore) {
+                        storageConfig.electronStore.set('accounts', encryptedData);
+                    }
+                    break;
+                case 'custom':
+                    if (storageConfig.customHandler && typeof storageConfig.customHandler.write === 'function') {
+                        storageConfig.customHandler.write(encryptedData);
+                    }
+                    break;
+            }
+            return true;
+        } catch (error) {
+            console.error("Error writing encrypted data:", error.message);
             return false;
         }
-        
-        accounts.forEach(acc => acc.active = (acc.uuid === uuid));
-        activeAccount = account;
-        return saveAccounts();
-    } catch (error) {
-        console.error("Error setting active account:", error.message);
-        return false;
     }
-}
 
-function getAuthData(uuid = null) {
-    try {
-        if (!storageConfig.initialized) {
-            if (!initializeAccountStorage()) {
-                throw new Error("Could not initialize account storage");
+    function readEncryptionKey() {
+        try {
+            switch (storageConfig.type) {
+                case 'file':
+                    if (fs.existsSync(getKeyFilePath())) {
+                        return fs.readFileSync(getKeyFilePath());
+                    }
+                    break;
+                case 'electron':
+                    if (storageConfig.electronStore && storageConfig.electronStore.has('encryptionKey')) {
+                        const keyStr = storageConfig.electronStore.get('encryptionKey');
+                        return Buffer.from(keyStr, 'hex');
+                    }
+                    break;
+                case 'custom':
+                    if (storageConfig.customHandler && typeof storageConfig.customHandler.readKey === 'function') {
+                        return toKeyBuffer(storageConfig.customHandler.readKey());
+                    }
+                    break;
+                case 'keychain': {
+                    const key = readKeychainKey();
+                    if (key) {
+                        return key;
+                    }
+                    
+                    const fileKey = takeFileKey();
+                    if (fileKey) {
+                        writeKeychainKey(fileKey);
+                        fs.rmSync(getKeyFilePath());
+                    }
+                    return fileKey;
+                }
+            }
+            return null;
+        } catch (error) {
+            // Generating a new key here would make the stored accounts unreadable
+            throw new Error(`Error reading encryption key: ${error.message}`);
+        }
+    }
+
+    function writeEncryptionKey(key) {
+        try {
+            switch (storageConfig.type) {
+                case 'file':
+                    writeFileAtomic(getKeyFilePath(), key);
+                    fs.chmodSync(getKeyFilePath(), 0o600);
+                    break;
+                case 'electron':
+                    if (storageConfig.electronStore) {
+                        const keyStr = key.toString('hex');
+                        storageConfig.electronStore.set('encryptionKey', keyStr);
+                    }
+                    break;
+                case 'custom':
+                    if (storageConfig.customHandler && typeof storageConfig.customHandler.writeKey === 'function') {
+                        storageConfig.customHandler.writeKey(key);
+                    }
+                    break;
+                case 'keychain':
+                    writeKeychainKey(key);
+                    break;
             }
+            return true;
+        } catch (error) {
+            console.error("Error writing encryption key:", error.message);
+            return false;
+        }
+    }
+
+    async function readEncryptionKeyAsync() {
+        if (storageConfig.type === 'async') {
+            return toKeyBuffer(await storageConfig.asyncHandler.readKey());
         }
         
-        const account = uuid ? accounts.find(acc => acc.uuid === uuid) : activeAccount;
+        const { keychain, keychainService } = storageConfig;
+        const key = toKeyBuffer(await keychain.getPassword(keychainService, getKeychainAccount()));
+        if (key) {
+            return key;
+        }
         
-        if (!account) {
-            return null;
+        const fileKey = takeFileKey();
+        if (fileKey) {
+            await keychain.setPassword(keychainService, getKeychainAccount(), fileKey.toString('hex'));
+            fs.rmSync(getKeyFilePath());
+        }
+        return fileKey;
+    }
+
+    async function writeEncryptionKeyAsync(key) {
+        if (storageConfig.type === 'async') {
+            await storageConfig.asyncHandler.writeKey(key);
+            return;
         }
         
-        return {
-            accessToken: account.accessToken,
-            clientToken: account.clientToken,
-            uuid: account.uuid,
-            username: account.username,
-            refreshToken: account.refreshToken,
-            expiresAt: account.expiresAt,
-            profile: account.profile,
-            type: account.type
-        };
-    } catch (error) {
-        console.error("Error getting auth data:", error.message);
-        return null;
+        await storageConfig.keychain.setPassword(storageConfig.keychainService, getKeychainAccount(), key.toString('hex'));
     }
-}
 
-function updateAuthData(uuid, authData) {
-    try {
-        if (!storageConfig.initialized) {
-            if (!initializeAccountStorage()) {
-                throw new Error("Could not initialize account storage");
-            }
+    async function readEncryptedDataAsync() {
+        if (storageConfig.type === 'async') {
+            const encryptedData = await storageConfig.asyncHandler.read();
+            return encryptedData && encryptedData.trim() ? encryptedData : null;
         }
+        return readEncryptedData();
+    }
+
+    /**
+     * Queues a write to the async handler. Writes run one after another, in the order the changes were made.
+     */
+    function queueAsyncWrite(encryptedData) {
+        const handler = storageConfig.asyncHandler;
         
-        const accountIndex = accounts.findIndex(acc => acc.uuid === uuid);
+        pendingWrite = pendingWrite
+            .then(() => handler.write(encryptedData))
+            .then(() => true, error => {
+                console.error("Error writing encrypted data:", error.message);
+                return false;
+            });
         
-        if (accountIndex === -1) {
+        return pendingWrite;
+    }
+
+    /**
+     * Waits until all queued writes of an async backend have finished
+     * @returns {Promise<boolean>} Whether the last write succeeded
+     */
+    function flushStorage() {
+        return pendingWrite;
+    }
+
+    function saveAccounts() {
+        try {
+            if (storageConfig.type === 'memory') {
+                return true;
+            }
+            
+            const encryptedData = encrypt(JSON.stringify({ accounts }));
+            
+            if (storageConfig.type === 'async') {
+                queueAsyncWrite(encryptedData);
+                return true;
+            }
+            
+            return writeEncryptedData(encryptedData);
+        } catch (error) {
+            console.error("Error saving accounts:", error.message);
             return false;
         }
+    }
+
+    /**
+     * Decrypts stored account data with the current key and upgrades it to the current version
+     * @param {string} encryptedData - Stored envelope
+     * @param {Buffer} key - Key to decrypt with, defaults to the current key
+     * @returns {{ accounts: Object[], migrated: boolean }} Accounts and whether the data was upgraded
+     * @throws {StorageError} CORRUPTED, UNSUPPORTED_VERSION or DECRYPT_FAILED
+     */
+    function readAccountsFromData(encryptedData, key = encryptionKey) {
+        const envelope = parseEnvelope(encryptedData);
+        const version = envelope.version || 1;
         
-        if (authData.accessToken) {
-            accounts[accountIndex].accessToken = authData.accessToken;
+        if (!Number.isInteger(version) || version > STORAGE_VERSION) {
+            throw new StorageError(
+                `The account file has version ${version}, this version of the library supports up to ${STORAGE_VERSION}`,
+                'UNSUPPORTED_VERSION',
+                { version }
+            );
         }
         
-        if (authData.refreshToken) {
-            accounts[accountIndex].refreshToken = authData.refreshToken;
+        let decrypted;
+        try {
+            decrypted = decrypt(encryptedData, key);
+        } catch (error) {
+            throw new StorageError('The account file cannot be decrypted with the current key', 'DECRYPT_FAILED');
+        }
+        
+        let payload;
+        try {
+            payload = migratePayload(JSON.parse(decrypted), version);
+        } catch (error) {
+            throw new StorageError(`The account data is corrupted: ${error.message}`, 'CORRUPTED');
+        }
+        
+        if (!payload || !Array.isArray(payload.accounts)) {
+            throw new StorageError('The account data is corrupted: missing account list', 'CORRUPTED');
+        }
+        
+        return { accounts: payload.accounts, migrated: version < STORAGE_VERSION };
+    }
+
+    function loadAccounts(encryptedData) {
+        if (!encryptedData) {
+            accounts = [];
+            activeAccount = null;
+            saveAccounts();
+            return;
+        }
+        
+        const result = readAccountsFromData(encryptedData);
+        
+        accounts = result.accounts;
+        activeAccount = accounts.find(acc => acc.active) || null;
+        lastKnownData = encryptedData;
+        
+        if (result.migrated) {
+            saveAccounts();
+        }
+    }
+
+    /**
+     * Loads the account file again if another process changed it since this process last read or wrote it
+     * @returns {boolean} Whether the accounts were reloaded
+     * @throws {StorageError} If the changed file cannot be read, so it is not overwritten
+     */
+    function reloadIfChanged() {
+        const encryptedData = readEncryptedData();
+        
+        if (encryptedData === lastKnownData) {
+            return false;
+        }
+        
+        if (!encryptedData) {
+            accounts = [];
+            activeAccount = null;
+            lastKnownData = null;
+            return true;
+        }
+        
+        let result;
+        try {
+            result = readAccountsFromData(encryptedData);
+        } catch (error) {
+            if (error.code !== 'DECRYPT_FAILED' || storageConfig.passphrase || isAsyncStorage()) {
+                throw error;
+            }
+            
+            // Another process may have reset the storage with a new key
+            encryptionKey = readEncryptionKey();
+            result = readAccountsFromData(encryptedData);
+        }
+        
+        accounts = result.accounts;
+        activeAccount = accounts.find(acc => acc.active) || null;
+        lastKnownData = encryptedData;
+        return true;
+    }
+
+    /**
+     * Runs a change of the accounts as a read-modify-write cycle under the file lock, so changes
+     * other processes made since the last read are kept instead of being overwritten
+     * @param {Function} mutation - Changes the accounts and saves them, returning the result
+     * @returns {*} Result of the mutation
+     */
+    function modifyAccounts(mutation) {
+        if (!isFileStorage()) {
+            return mutation();
+        }
+        
+        acquireLock();
+        try {
+            reloadIfChanged();
+            return mutation();
+        } finally {
+            releaseLock();
+        }
+    }
+
+    /**
+     * Runs a change like modifyAccounts, waiting for the lock without blocking the event loop
+     * @param {Function} mutation - Changes the accounts and saves them synchronously, returning the result
+     * @returns {Promise<*>} Result of the mutation
+     */
+    async function modifyAccountsAsync(mutation) {
+        if (!isFileStorage()) {
+            return mutation();
+        }
+        
+        await acquireLockAsync();
+        try {
+            reloadIfChanged();
+            return mutation();
+        } finally {
+            releaseLock();
+        }
+    }
+
+    function handleExternalChange() {
+        if (!storageConfig.initialized || lockDepth > 0) {
+            return;
+        }
+        
+        try {
+            if (reloadIfChanged()) {
+                notify('accountsChanged', getAccounts());
+            }
+        } catch (error) {
+            recordStorageError(error);
+            console.error("Error reloading account storage:", error.message);
+        }
+    }
+
+    /**
+     * Watches the account file for changes of other processes. The directory is watched because
+     * the file is replaced on every write. The watcher does not keep the process running.
+     */
+    function watchAccountsFile() {
+        unwatchAccountsFile();
+        
+        if (!isFileStorage() || !storageConfig.watch) {
+            return;
+        }
+        
+        try {
+            watcher = fs.watch(storageConfig.location, { persistent: false }, (eventType, fileName) => {
+                if (fileName && fileName !== ACCOUNTS_FILE_NAME) {
+                    return;
+                }
+                
+                clearTimeout(watchTimer);
+                watchTimer = setTimeout(handleExternalChange, WATCH_DEBOUNCE);
+                watchTimer.unref();
+            });
+            
+            watcher.on('error', error => {
+                console.error("Error watching account storage:", error.message);
+                unwatchAccountsFile();
+            });
+        } catch (error) {
+            console.error("Error watching account storage:", error.message);
+        }
+    }
+
+    function unwatchAccountsFile() {
+        clearTimeout(watchTimer);
+        
+        if (watcher) {
+            watcher.close();
+            watcher = null;
+        }
+    }
+
+    /**
+     * Remembers why the storage could not be loaded, so the launcher can offer a restore
+     */
+    function recordStorageError(error) {
+        if (error instanceof StorageError) {
+            error.backupAvailable = isFileStorage() && fs.existsSync(getBackupFilePath());
+            storageError = error;
+        }
+    }
+
+    function createStorageDirectory() {
+        if (storageConfig.type === 'file' || storageConfig.type === 'keychain') {
+            if (!fs.existsSync(storageConfig.location)) {
+                fs.mkdirSync(storageConfig.location, { recursive: true, mode: 0o700 });
+            }
+        }
+    }
+
+    function initializeAccountStorage() {
+        try {
+            if (storageConfig.initialized) return true;
+            
+            // Async backends are loaded by configureStorage, passphrase storage by unlock
+            if (isAsyncStorage() || storageConfig.passphrase) {
+                return false;
+            }
+            
+            createStorageDirectory();
+            
+            const storedData = readEncryptedData();
+            const storedKey = readEncryptionKey();
+            
+            if (storedData && storedKey) {
+                // The file is replaced atomically, so existing accounts are read without the lock
+                encryptionKey = storedKey;
+                loadAccounts(storedData);
+            } else {
+                // Two processes starting at once must not both generate a key
+                acquireLock();
+                try {
+                    const encryptedData = readEncryptedData();
+                    const existingKey = readEncryptionKey();
+                    
+                    if (!existingKey) {
+                        if (encryptedData) {
+                            throw new StorageError('The encryption key of the stored accounts is missing', 'KEY_MISSING');
+                        }
+                        
+                        encryptionKey = generateNewEncryptionKey();
+                        writeEncryptionKey(encryptionKey);
+                    } else {
+                        encryptionKey = existingKey;
+                    }
+                    
+                    loadAccounts(encryptedData);
+                } finally {
+                    releaseLock();
+                }
+            }
+            
+            storageError = null;
+            storageConfig.initialized = true;
+            watchAccountsFile();
+            return true;
+        } catch (error) {
+            recordStorageError(error);
+            console.error("Error initializing account storage:", error.message);
+            return false;
+        }
+    }
+
+    async function initializeAsyncStorage() {
+        try {
+            createStorageDirectory();
+            
+            // The key is read and written before the lock is taken: nothing may be awaited while it is
+            // held, or other holders in this process could not get it until the event loop runs again
+            const encryptedData = await readEncryptedDataAsync();
+            const existingKey = await readEncryptionKeyAsync();
+            
+            if (!existingKey) {
+                if (encryptedData) {
+                    throw new StorageError('The encryption key of the stored accounts is missing', 'KEY_MISSING');
+                }
+                
+                const key = generateNewEncryptionKey();
+                await writeEncryptionKeyAsync(key);
+                
+                // Another process starting at once may have written its key last
+                encryptionKey = (await readEncryptionKeyAsync()) || key;
+            } else {
+                encryptionKey = existingKey;
+            }
+            
+            await acquireLockAsync();
+            try {
+                // Another process may have saved accounts while the key was read
+                loadAccounts(isFileStorage() ? readEncryptedData() : encryptedData);
+            } finally {
+                releaseLock();
+            }
+            
+            storageError = null;
+            storageConfig.initialized = true;
+            watchAccountsFile();
+            return await flushStorage();
+        } catch (error) {
+            recordStorageError(error);
+            console.error("Error initializing account storage:", error.message);
+            return false;
+        }
+    }
+
+    function removeKeychainKey() {
+        try {
+            execFileSync('secret-tool', [
+                'clear', 'service', storageConfig.keychainService, 'account', getKeychainAccount()
+            ], { stdio: ['ignore', 'ignore', 'pipe'] });
+        } catch (error) {
+            throw new Error(`secret-tool clear failed: ${(error.stderr || '').toString().trim() || error.message}`);
+        }
+    }
+
+    /**
+     * Removes the stored key once the accounts are encrypted with a passphrase, from the backend it was read from.
+     * Handlers without deleteKey and keychains without deletePassword get an empty key instead.
+     */
+    async function removeStoredKey() {
+        try {
+            switch (storageConfig.type) {
+                case 'file':
+                    fs.rmSync(getKeyFilePath(), { force: true });
+                    break;
+                case 'electron':
+                    if (storageConfig.electronStore) {
+                        storageConfig.electronStore.delete('encryptionKey');
+                    }
+                    break;
+                case 'custom': {
+                    const handler = storageConfig.customHandler;
+                    if (handler && typeof handler.deleteKey === 'function') {
+                        handler.deleteKey();
+                    } else if (handler && typeof handler.writeKey === 'function') {
+                        handler.writeKey(Buffer.alloc(0));
+                    }
+                    break;
+                }
+                case 'async': {
+                    const handler = storageConfig.asyncHandler;
+                    if (typeof handler.deleteKey === 'function') {
+                        await handler.deleteKey();
+                    } else {
+                        await handler.writeKey(Buffer.alloc(0));
+                    }
+                    break;
+                }
+                case 'keychain': {
+                    const { keychain, keychainService } = storageConfig;
+                    if (!keychain) {
+                        removeKeychainKey();
+                    } else if (typeof keychain.deletePassword === 'function') {
+                        await keychain.deletePassword(keychainService, getKeychainAccount());
+                    } else {
+                        await keychain.setPassword(keychainService, getKeychainAccount(), '');
+                    }
+                    fs.rmSync(getKeyFilePath(), { force: true });
+                    break;
+                }
+            }
+        } catch (error) {
+            // The accounts are already protected by the passphrase, so unlocking still succeeds
+            console.error("Error removing the stored encryption key:", error.message);
+        }
+    }
+
+    /**
+     * Derives the key of a passphrase and decrypts stored data with it, without changing the loaded storage
+     * @param {string} passphrase - Passphrase to check
+     * @param {string} encryptedData - Stored envelope
+     * @param {Object} params - Key derivation parameters of the envelope
+     * @param {string} wrongMessage - Message of the error for a wrong passphrase
+     * @returns {Promise<{ key: Buffer, result: { accounts: Object[], migrated: boolean } }>} Derived key and decrypted accounts
+     */
+    async function openWithPassphrase(passphrase, encryptedData, params, wrongMessage) {
+        const key = await deriveKey(passphrase, params);
+        
+        try {
+            return { key, result: readAccountsFromData(encryptedData, key) };
+        } catch (error) {
+            key.fill(0);
+            throw error.code === 'DECRYPT_FAILED' ? new Error(wrongMessage) : error;
+        }
+    }
+
+    /**
+     * Unlocks storage in passphrase mode. The first unlock sets the passphrase, and accounts
+     * protected by a stored key are re-encrypted with it and the key file is removed.
+     * @param {string} passphrase - Passphrase of the storage
+     * @returns {Promise<boolean>} Whether the storage was unlocked, false for a wrong passphrase
+     */
+    async function unlock(passphrase) {
+        try {
+            if (!storageConfig.passphrase) {
+                throw new Error("Passphrase mode is not enabled");
+            }
+            
+            if (!passphrase || typeof passphrase !== 'string') {
+                throw new Error("Passphrase is required");
+            }
+            
+            const encryptedData = isAsyncStorage() ? await readEncryptedDataAsync() : readEncryptedData();
+            const stored = encryptedData ? parseEnvelope(encryptedData) : null;
+            
+            // Nothing changes until the passphrase is known to be right, so a wrong one leaves an unlocked storage usable
+            if (stored && stored.kdf) {
+                const { key, result } = await openWithPassphrase(passphrase, encryptedData, stored.kdf, "Wrong passphrase");
+                
+                encryptionKey = key;
+                kdfParams = stored.kdf;
+                accounts = result.accounts;
+                lastKnownData = encryptedData;
+                
+                if (result.migrated) {
+                    saveAccounts();
+                }
+            } else {
+                let existing = [];
+                
+                if (stored) {
+                    const storedKey = isAsyncStorage() ? await readEncryptionKeyAsync() : readEncryptionKey();
+                    if (!storedKey) {
+                        throw new StorageError('The encryption key of the stored accounts is missing', 'KEY_MISSING');
+                    }
+                    existing = readAccountsFromData(encryptedData, storedKey).accounts;
+                }
+                
+                const params = createKdfParams();
+                const key = await deriveKey(passphrase, params);
+                const previous = { encryptionKey, kdfParams, accounts };
+                
+                encryptionKey = key;
+                kdfParams = params;
+                accounts = existing;
+                
+                if (!saveAccounts() || !(await flushStorage())) {
+                    ({ encryptionKey, kdfParams, accounts } = previous);
+                    throw new Error("Could not save accounts with the new passphrase");
+                }
+                await removeStoredKey();
+            }
+            
+            activeAccount = accounts.find(acc => acc.active) || null;
+            storageError = null;
+            storageConfig.initialized = true;
+            watchAccountsFile();
+            return true;
+        } catch (error) {
+            recordStorageError(error);
+            console.error("Error unlocking account storage:", error.message);
+            return false;
+        }
+    }
+
+    /**
+     * Forgets the derived key and the loaded accounts until the next unlock
+     * @returns {boolean} True once locked
+     */
+    function lock() {
+        unwatchAccountsFile();
+        
+        if (encryptionKey) {
+            encryptionKey.fill(0);
+        }
+        
+        encryptionKey = null;
+        accounts = [];
+        activeAccount = null;
+        storageConfig.initialized = false;
+        return true;
+    }
+
+    function isLocked() {
+        return storageConfig.passphrase && !storageConfig.initialized;
+    }
+
+    /**
+     * Changes the passphrase of unlocked storage and re-encrypts the stored accounts with a key derived from a new salt
+     * @param {string} currentPassphrase - Current passphrase, checked against the stored accounts
+     * @param {string} newPassphrase - New passphrase
+     * @returns {Promise<boolean>} Whether the passphrase was changed
+     */
+    async function changePassphrase(currentPassphrase, newPassphrase) {
+        try {
+            if (!storageConfig.passphrase) {
+                throw new Error("Passphrase mode is not enabled");
+            }
+            
+            if (!storageConfig.initialized) {
+                throw new Error("Account storage is locked");
+            }
+            
+            if (!currentPassphrase || typeof currentPassphrase !== 'string') {
+                throw new Error("Current passphrase is required");
+            }
+            
+            if (!newPassphrase || typeof newPassphrase !== 'string') {
+                throw new Error("New passphrase is required");
+            }
+            
+            const encryptedData = isAsyncStorage() ? await readEncryptedDataAsync() : readEncryptedData();
+            const stored = encryptedData ? parseEnvelope(encryptedData) : null;
+            
+            if (!stored || !stored.kdf) {
+                throw new Error("No accounts are protected with a passphrase yet");
+            }
+            
+            const { key: currentKey } = await openWithPassphrase(
+                currentPassphrase, encryptedData, stored.kdf, "Current passphrase is incorrect"
+            );
+            currentKey.fill(0);
+            
+            const params = createKdfParams();
+            const key = await deriveKey(newPassphrase, params);
+            
+            const saved = await modifyAccountsAsync(() => {
+                const previous = { encryptionKey, kdfParams };
+                
+                encryptionKey = key;
+                kdfParams = params;
+                
+                if (!saveAccounts()) {
+                    ({ encryptionKey, kdfParams } = previous);
+                    return false;
+                }
+                
+                previous.encryptionKey.fill(0);
+                return true;
+            });
+            
+            return saved && await flushStorage();
+        } catch (error) {
+            console.error("Error changing passphrase:", error.message);
+            return false;
+        }
+    }
+
+    /**
+     * Returns why the account storage could not be loaded
+     * @returns {StorageError|null} Error with code CORRUPTED, DECRYPT_FAILED, UNSUPPORTED_VERSION,
+     * KEY_MISSING or READ_FAILED, and backupAvailable; null if the storage loaded
+     */
+    function getStorageError() {
+        return storageError;
+    }
+
+    /**
+     * Replaces an unreadable account file with its backup. The unreadable file is kept next to it
+     * with a .corrupt-<timestamp> suffix.
+     * @param {string} passphrase - Passphrase, required in passphrase mode
+     * @returns {Promise<boolean>} Whether the backup was restored and loaded
+     */
+    async function restoreFromBackup(passphrase = null) {
+        try {
+            if (!isFileStorage()) {
+                throw new Error("Backups are only kept for file and keychain storage");
+            }
+
+            if (!fs.existsSync(getBackupFilePath())) {
+                throw new Error("No backup of the account file exists");
+            }
+
+            const backup = fs.readFileSync(getBackupFilePath(), 'utf8');
+            const envelope = parseEnvelope(backup);
+
+            if (storageConfig.passphrase) {
+                if (!passphrase || !envelope.kdf) {
+                    throw new Error("The passphrase of the backup is required");
+                }
+                encryptionKey = await deriveKey(passphrase, envelope.kdf);
+                kdfParams = envelope.kdf;
+            } else {
+                encryptionKey = isAsyncStorage() ? await readEncryptionKeyAsync() : readEncryptionKey();
+                if (!encryptionKey) {
+                    throw new StorageError('The encryption key of the stored accounts is missing', 'KEY_MISSING');
+                }
+            }
+
+            const result = readAccountsFromData(backup);
+
+            await acquireLockAsync();
+            try {
+                setAsideAccountsFile();
+                writeFileAtomic(getAccountsFilePath(), backup);
+                lastKnownData = backup;
+
+                accounts = result.accounts;
+                activeAccount = accounts.find(acc => acc.active) || null;
+                storageError = null;
+                storageConfig.initialized = true;
+
+                if (result.migrated) {
+                    saveAccounts();
+                }
+            } finally {
+                releaseLock();
+            }
+
+            watchAccountsFile();
+            notify('accountsChanged', getAccounts());
+            return true;
+        } catch (error) {
+            console.error("Error restoring account backup:", error.message);
+            return false;
+        }
+    }
+
+    /**
+     * Discards the stored accounts and starts with empty storage. Unreadable account files are kept
+     * with a .corrupt-<timestamp> suffix. In passphrase mode the next unlock sets a new passphrase.
+     * @returns {Promise<boolean>} Whether the storage was reset
+     */
+    async function resetStorage() {
+        try {
+            const newKey = storageConfig.passphrase ? null : generateNewEncryptionKey();
+            
+            // Written before the lock is taken, nothing may be awaited while it is held
+            if (newKey && isAsyncStorage()) {
+                await writeEncryptionKeyAsync(newKey);
+            }
+            
+            await acquireLockAsync();
+            try {
+                if (isFileStorage()) {
+                    setAsideAccountsFile();
+                }
+
+                accounts = [];
+                activeAccount = null;
+                lastKnownData = null;
+                storageError = null;
+
+                if (storageConfig.passphrase) {
+                    // Without stored data the next unlock sets a new passphrase
+                    if (storageConfig.type === 'async') {
+                        await queueAsyncWrite('');
+                    } else if (!isFileStorage() && storageConfig.type !== 'memory') {
+                        writeEncryptedData('');
+                    }
+                    lock();
+                    notify('accountsChanged', []);
+                    return true;
+                }
+
+                encryptionKey = newKey;
+                if (!isAsyncStorage()) {
+                    writeEncryptionKey(encryptionKey);
+                }
+
+                storageConfig.initialized = true;
+                if (!saveAccounts()) {
+                    return false;
+                }
+            } finally {
+                releaseLock();
+            }
+
+            watchAccountsFile();
+            notify('accountsChanged', []);
+            return await flushStorage();
+        } catch (error) {
+            console.error("Error resetting account storage:", error.message);
+            return false;
+        }
+    }
+
+    /**
+     * Exports all accounts, the active account and their settings as a bundle encrypted with a
+     * passphrase. The bundle does not depend on the key of this machine.
+     * @param {string} passphrase - Passphrase protecting the bundle
+     * @returns {Promise<string|null>} Bundle, or null if it could not be created
+     */
+    async function exportAccounts(passphrase) {
+        try {
+            if (!storageConfig.initialized) {
+                if (!initializeAccountStorage()) {
+                    throw new Error(isLocked() ? "Account storage is locked" : "Could not initialize account storage");
+                }
+            }
+            
+            if (!passphrase || typeof passphrase !== 'string') {
+                throw new Error("Passphrase is required");
+            }
+            
+            const kdf = createKdfParams();
+            const key = await deriveKey(passphrase, kdf);
+            const iv = crypto.randomBytes(16);
+            const cipher = crypto.createCipheriv(ALGORITHM, key, iv);
+            
+            const payload = JSON.stringify({
+                accounts,
+                activeAccount: activeAccount ? activeAccount.uuid : null,
+                exportedAt: new Date().toISOString()
+            });
+            
+            let encrypted = cipher.update(payload, 'utf8', 'hex');
+            encrypted += cipher.final('hex');
+            
+            return JSON.stringify({
+                format: BUNDLE_FORMAT,
+                version: STORAGE_VERSION,
+                kdf,
+                iv: iv.toString('hex'),
+                encrypted,
+                authTag: cipher.getAuthTag().toString('hex')
+            });
+        } catch (error) {
+            console.error("Error exporting accounts:", error.message);
+            return null;
+        }
+    }
+
+    /**
+     * Imports a bundle created by exportAccounts
+     * @param {string} blob - Bundle
+     * @param {string} passphrase - Passphrase of the bundle
+     * @param {Object} options - Import options
+     * @param {string} options.mode - 'merge' adds the accounts to the existing ones, 'replace' discards the existing ones (default 'merge')
+     * @param {string} options.onConflict - For accounts that exist already when merging: 'skip' keeps the existing one,
+     * 'overwrite' takes the imported one, 'newer' keeps the one used last (default 'skip')
+     * @returns {Promise<Object>} Imported UUIDs, the conflicts with their resolution and the invalid records that were skipped with the reason
+     */
+    async function importAccounts(blob, passphrase, options = {}) {
+        const mode = options.mode || 'merge';
+        const onConflict = options.onConflict || 'skip';
+        
+        try {
+            if (!storageConfig.initialized) {
+                if (!initializeAccountStorage()) {
+                    throw new Error(isLocked() ? "Account storage is locked" : "Could not initialize account storage");
+                }
+            }
+            
+            if (!IMPORT_MODES.includes(mode)) {
+                throw new Error(`Unknown import mode: ${mode}`);
+            }
+            
+            if (!CONFLICT_RESOLUTIONS.includes(onConflict)) {
+                throw new Error(`Unknown conflict resolution: ${onConflict}`);
+            }
+            
+            if (!passphrase || typeof passphrase !== 'string') {
+                throw new Error("Passphrase is required");
+            }
+            
+            const bundle = await openBundle(blob, passphrase);
+            const imported = [];
+            const conflicts = [];
+            const skipped = [];
+            
+            // Bundle records are checked like accounts added by addAccount, their settings reach the JVM
+            const records = [];
+            for (const account of bundle.accounts) {
+                try {
+                    records.push(toAccountRecord(account));
+                } catch (error) {
+                    skipped.push({
+                        uuid: account && account.uuid || null,
+                        username: account && account.username || null,
+                        reason: error.message
+                    });
+                }
+            }
+            
+            const saved = await modifyAccountsAsync(() => {
+                if (mode === 'replace') {
+                    accounts = records.map(account => ({
+                        ...account,
+                        active: account.uuid === bundle.activeAccount
+                    }));
+                    activeAccount = accounts.find(acc => acc.active) || null;
+                    imported.push(...accounts.map(acc => acc.uuid));
+                    return saveAccounts();
+                }
+                
+                for (const account of records) {
+                    const index = accounts.findIndex(acc => acc.uuid === account.uuid);
+                    
+                    if (index === -1) {
+                        accounts.push(account);
+                        imported.push(account.uuid);
+                        continue;
+                    }
+                    
+                    const replace = onConflict === 'overwrite' || (onConflict === 'newer' && isNewer(account, accounts[index]));
+                    
+                    conflicts.push({
+                        uuid: account.uuid,
+                        username: account.username,
+                        resolution: replace ? 'overwritten' : 'skipped'
+                    });
+                    
+                    if (replace) {
+                        // Local settings are kept, the ones set in the bundle take precedence
+                        accounts[index] = {
+                            ...account,
+                            settings: applySettings(accounts[index].settings, account.settings || {}),
+                            active: accounts[index].active
+                        };
+                        imported.push(account.uuid);
+                    }
+                }
+                
+                if (!activeAccount && bundle.activeAccount) {
+                    accounts.forEach(acc => acc.active = (acc.uuid === bundle.activeAccount));
+                }
+                activeAccount = accounts.find(acc => acc.active) || null;
+                
+                return saveAccounts();
+            });
+            
+            if (!saved || !(await flushStorage())) {
+                throw new Error("Could not save the imported accounts");
+            }
+            
+            notify('accountsChanged', getAccounts());
+            
+            return {
+                success: true,
+                imported,
+                conflicts,
+                skipped
+            };
+        } catch (error) {
+            console.error("Error importing accounts:", error.message);
+            return {
+                success: false,
+                error: error.message,
+                imported: [],
+                conflicts: [],
+                skipped: []
+            };
+        }
+    }
+
+    /**
+     * Selects where accounts are stored and loads them
+     * @param {Object} config - Storage configuration
+     * @param {string} config.type - 'file', 'electron', 'memory', 'custom', 'keychain' or 'async'
+     * @param {string} config.location - Directory of the account file for 'file' and 'keychain'
+     * @param {Object} config.electronStore - electron-store instance for 'electron'
+     * @param {Object} config.customHandler - Synchronous read, write, readKey and writeKey for 'custom'
+     * @param {Object} config.asyncHandler - read, write, readKey and writeKey returning promises for 'async'
+     * @param {Object} config.keychain - keytar-compatible module for 'keychain', secret-tool is used if not set
+     * @param {string} config.keychainService - Service name of the keychain entry (default 'dilial-api')
+     * @param {boolean} config.passphrase - Derive the key from a passphrase; storage stays locked until unlock()
+     * @param {boolean} config.watch - Reload and emit accountsChanged when another process changes the account file (default true)
+     * @returns {boolean|Promise<boolean>} Whether the storage could be loaded, a promise for async backends
+     */
+    function configureStorage(config = {}) {
+        if (config.type && STORAGE_TYPES.includes(config.type)) {
+            storageConfig.type = config.type;
+        }
+        
+        if (config.location && typeof config.location === 'string') {
+            storageConfig.location = config.location;
+        }
+        
+        if (config.electronStore) {
+            storageConfig.electronStore = config.electronStore;
+        }
+        
+        if (config.customHandler) {
+            storageConfig.customHandler = config.customHandler;
+        }
+        
+        if (config.asyncHandler) {
+            storageConfig.asyncHandler = config.asyncHandler;
+        }
+        
+        if (config.keychain !== undefined) {
+            storageConfig.keychain = config.keychain;
+        }
+        
+        if (config.keychainService && typeof config.keychainService === 'string') {
+            storageConfig.keychainService = config.keychainService;
+        }
+        
+        if (typeof config.passphrase === 'boolean') {
+            storageConfig.passphrase = config.passphrase;
+        }
+        
+        if (typeof config.watch === 'boolean') {
+            storageConfig.watch = config.watch;
+        }
+        
+        unwatchAccountsFile();
+        storageConfig.initialized = false;
+        
+        if (storageConfig.passphrase) {
+            lock();
+            createStorageDirectory();
+            return isAsyncStorage() ? Promise.resolve(true) : true;
+        }
+        
+        if (isAsyncStorage()) {
+            if (storageConfig.type === 'async' && !storageConfig.asyncHandler) {
+                console.error("Error initializing account storage: an asyncHandler is required");
+                return Promise.resolve(false);
+            }
+            return initializeAsyncStorage();
+        }
+        
+        return initializeAccountStorage();
+    }
+
+    async function addAccount(authData) {
+        try {
+            if (!storageConfig.initialized) {
+                if (!initializeAccountStorage()) {
+                    throw new Error(isLocked() ? "Account storage is locked" : "Could not initialize account storage");
+                }
+            }
+            
+            // Checked before the lock is taken
+            toAccountRecord(authData);
+            
+            let previousUuid = null;
+            let existed = false;
+            
+            const saved = await modifyAccountsAsync(() => {
+                const existingAccount = accounts.findIndex(acc => acc.uuid === authData.uuid);
+                previousUuid = activeAccount ? activeAccount.uuid : null;
+                existed = existingAccount >= 0;
+                
+                // A new sign-in to an existing account keeps its settings
+                const account = {
+                    ...toAccountRecord(authData, existed ? accounts[existingAccount] : null),
+                    active: true,
+                    lastUsed: new Date().toISOString()
+                };
+                
+                accounts.forEach(acc => acc.active = false);
+                
+                if (existingAccount >= 0) {
+                    accounts[existingAccount] = account;
+                } else {
+                    accounts.push(account);
+                }
+                
+                activeAccount = account;
+                return saveAccounts();
+            });
+            
+            if (!saved || !(await flushStorage())) {
+                return false;
+            }
+            
+            if (existed) {
+                notify('tokensUpdated', {
+                    uuid: activeAccount.uuid,
+                    expiresAt: activeAccount.expiresAt,
+                    needsReauth: Boolean(activeAccount.needsReauth)
+                });
+                notify('profileUpdated', toProfileInfo(activeAccount));
+            } else {
+                notify('added', toAccountInfo(activeAccount));
+            }
+            notifyActiveChanged(previousUuid);
+            return true;
+        } catch (error) {
+            console.error("Error adding account:", error.message);
+            return false;
+        }
+    }
+
+    function removeAccount(uuid) {
+        try {
+            if (!storageConfig.initialized) {
+                if (!initializeAccountStorage()) {
+                    throw new Error(isLocked() ? "Account storage is locked" : "Could not initialize account storage");
+                }
+            }
+            
+            let removedAccount = null;
+            let previousUuid = null;
+            
+            const removed = modifyAccounts(() => {
+                removedAccount = accounts.find(acc => acc.uuid === uuid);
+                previousUuid = activeAccount ? activeAccount.uuid : null;
+                
+                if (!removedAccount) {
+                    return false;
+                }
+                
+                accounts = accounts.filter(acc => acc.uuid !== uuid);
+                
+                if (activeAccount && activeAccount.uuid === uuid) {
+                    if (accounts.length > 0) {
+                        accounts[0].active = true;
+                        activeAccount = accounts[0];
+                    } else {
+                        activeAccount = null;
+                    }
+                }
+                
+                return saveAccounts();
+            });
+            
+            if (removed) {
+                notify('removed', toAccountInfo({ ...removedAccount, active: false }));
+                notifyActiveChanged(previousUuid);
+            }
+            return removed;
+        } catch (error) {
+            console.error("Error removing account:", error.message);
+            return false;
+        }
+    }
+
+    /**
+     * Emits an event once the change is saved. A failing listener must not turn a saved change into a failure.
+     */
+    function notify(event, ...args) {
+        try {
+            accountManager.emit(event, ...args);
+        } catch (error) {
+            console.error(`Error in ${event} listener:`, error.message);
+        }
+    }
+
+    function notifyActiveChanged(previousUuid) {
+        const currentUuid = activeAccount ? activeAccount.uuid : null;
+        
+        if (currentUuid !== previousUuid) {
+            notify('activeChanged', activeAccount ? toAccountInfo(activeAccount) : null, previousUuid);
+        }
+    }
+
+    function getAccounts() {
+        try {
+            if (!storageConfig.initialized) {
+                if (!initializeAccountStorage()) {
+                    throw new Error(isLocked() ? "Account storage is locked" : "Could not initialize account storage");
+                }
+            }
+            
+            return accounts.map(toAccountInfo);
+        } catch (error) {
+            console.error("Error getting accounts:", error.message);
+            return [];
+        }
+    }
+
+    function getActiveAccount() {
+        try {
+            if (!storageConfig.initialized) {
+                if (!initializeAccountStorage()) {
+                    throw new Error(isLocked() ? "Account storage is locked" : "Could not initialize account storage");
+                }
+            }
+            
+            if (!activeAccount) {
+                return null;
+            }
+            
+            return toAccountInfo(activeAccount);
+        } catch (error) {
+            console.error("Error getting active account:", error.message);
+            return null;
+        }
+    }
+
+    function setActiveAccount(uuid) {
+        try {
+            if (!storageConfig.initialized) {
+                if (!initializeAccountStorage()) {
+                    throw new Error(isLocked() ? "Account storage is locked" : "Could not initialize account storage");
+                }
+            }
+            
+            let previousUuid = null;
+            
+            const changed = modifyAccounts(() => {
+                const account = accounts.find(acc => acc.uuid === uuid);
+                if (!account) {
+                    return false;
+                }
+                
+                previousUuid = activeAccount ? activeAccount.uuid : null;
+                accounts.forEach(acc => acc.active = (acc.uuid === uuid));
+                activeAccount = account;
+                return saveAccounts();
+            });
+            
+            if (changed) {
+                notifyActiveChanged(previousUuid);
+            }
+            return changed;
+        } catch (error) {
+            console.error("Error setting active account:", error.message);
+            return false;
+        }
+    }
+
+    function getAuthData(uuid = null) {
+        try {
+            if (!storageConfig.initialized) {
+                if (!initializeAccountStorage()) {
+                    throw new Error(isLocked() ? "Account storage is locked" : "Could not initialize account storage");
+                }
+            }
+            
+            const account = uuid ? accounts.find(acc => acc.uuid === uuid) : activeAccount;
+            
+            if (!account) {
+                return null;
+            }
+            
+            return {
+                accessToken: account.accessToken,
+                clientToken: account.clientToken,
+                uuid: account.uuid,
+                username: account.username,
+                refreshToken: account.refreshToken,
+                expiresAt: account.expiresAt,
+                tokens: account.tokens || null,
+                profile: account.profile,
+                entitlements: account.entitlements || null,
+                demo: Boolean(account.demo),
+                authServer: account.authServer || null,
+                needsReauth: Boolean(account.needsReauth),
+                settings: toSettings(account.settings),
+                type: account.type
+            };
+        } catch (error) {
+            console.error("Error getting auth data:", error.message);
+            return null;
+        }
+    }
+
+    /**
+     * Applies changed auth data to the loaded record of an account, without saving it
+     * @returns {Object|null} Updated record, or null if there is no such account
+     */
+    function applyAuthData(uuid, authData) {
+        const accountIndex = accounts.findIndex(acc => acc.uuid === uuid);
+        
+        if (accountIndex === -1) {
+            return null;
+        }
+        
+        if (authData.accessToken) {
+            accounts[accountIndex].accessToken = authData.accessToken;
+        }
+        
+        if (authData.refreshToken) {
+            accounts[accountIndex].refreshToken = authData.refreshToken;
+            accounts[accountIndex].needsReauth = false;
         }
         
         if (authData.expiresAt) {
             accounts[accountIndex].expiresAt = authData.expiresAt;
         }
         
+        if (authData.tokens) {
+            accounts[accountIndex].tokens = {
+                ...accounts[accountIndex].tokens,
+                ...authData.tokens
+            };
+        }
+        
         if (authData.profile) {
             accounts[accountIndex].profile = authData.profile;
         }
         
+        if (authData.entitlements) {
+            accounts[accountIndex].entitlements = authData.entitlements;
+        }
+        
+        if (typeof authData.demo === 'boolean') {
+            accounts[accountIndex].demo = authData.demo;
+        }
+        
+        if (typeof authData.needsReauth === 'boolean') {
+            accounts[accountIndex].needsReauth = authData.needsReauth;
+        }
+        
         accounts[accountIndex].lastUsed = new Date().toISOString();
         
         if (activeAccount && activeAccount.uuid === uuid) {
             activeAccount = accounts[accountIndex];
         }
         
-        return saveAccounts();
-    } catch (error) {
-        console.error("Error updating auth data:", error.message);
-        return false;
+        return accounts[accountIndex];
+    }
+
+    function notifyAuthDataUpdated(uuid, authData, updatedAccount) {
+        if (authData.accessToken || authData.refreshToken || authData.expiresAt || authData.tokens
+            || typeof authData.needsReauth === 'boolean') {
+            notify('tokensUpdated', {
+                uuid,
+                expiresAt: updatedAccount.expiresAt,
+                needsReauth: Boolean(updatedAccount.needsReauth)
+            });
+        }
+        
+        if (authData.profile || authData.entitlements || typeof authData.demo === 'boolean') {
+            notify('profileUpdated', toProfileInfo(updatedAccount));
+        }
+    }
+
+    function updateAuthData(uuid, authData) {
+        try {
+            if (!storageConfig.initialized) {
+                if (!initializeAccountStorage()) {
+                    throw new Error(isLocked() ? "Account storage is locked" : "Could not initialize account storage");
+                }
+            }
+            
+            let updatedAccount = null;
+            
+            const updated = modifyAccounts(() => {
+                updatedAccount = applyAuthData(uuid, authData);
+                return updatedAccount ? saveAccounts() : false;
+            });
+            
+            if (updated) {
+                notifyAuthDataUpdated(uuid, authData, updatedAccount);
+            }
+            return updated;
+        } catch (error) {
+            console.error("Error updating auth data:", error.message);
+            return false;
+        }
     }
+
+    /**
+     * Updates auth data like updateAuthData, but waits for the lock of the account file instead of
+     * failing while another process holds it. Used for tokens that were already redeemed and would be lost.
+     * @param {string} uuid - UUID of the account
+     * @param {Object} authData - Changed auth data
+     * @returns {Promise<boolean>} Whether the account was updated and saved
+     */
+    async function updateAuthDataAsync(uuid, authData) {
+        try {
+            if (!storageConfig.initialized) {
+                if (!initializeAccountStorage()) {
+                    throw new Error(isLocked() ? "Account storage is locked" : "Could not initialize account storage");
+                }
+            }
+            
+            let updatedAccount = null;
+            
+            const updated = await modifyAccountsAsync(() => {
+                updatedAccount = applyAuthData(uuid, authData);
+                return updatedAccount ? saveAccounts() : false;
+            });
+            
+            if (!updated || !(await flushStorage())) {
+                return false;
+            }
+            
+            notifyAuthDataUpdated(uuid, authData, updatedAccount);
+            return true;
+        } catch (error) {
+            console.error("Error updating auth data:", error.message);
+            return false;
+        }
+    }
+
+    /**
+     * Returns the launcher settings of an account
+     * @param {string} uuid - UUID of the account, uses the active account if not specified
+     * @returns {Object|null} nickname, preferredProfile, skinVariant, lastServer and jvmArgs, or null if there is no such account
+     */
+    function getSettings(uuid = null) {
+        try {
+            if (!storageConfig.initialized) {
+                if (!initializeAccountStorage()) {
+                    throw new Error(isLocked() ? "Account storage is locked" : "Could not initialize account storage");
+                }
+            }
+            
+            const account = uuid ? accounts.find(acc => acc.uuid === uuid) : activeAccount;
+            return account ? toSettings(account.settings) : null;
+        } catch (error) {
+            console.error("Error getting account settings:", error.message);
+            return null;
+        }
+    }
+    
+    function writeSettings(uuid, changes, replace) {
+        try {
+            if (!storageConfig.initialized) {
+                if (!initializeAccountStorage()) {
+                    throw new Error(isLocked() ? "Account storage is locked" : "Could not initialize account storage");
+                }
+            }
+            
+            const errors = validateSettings(changes);
+            if (errors.length > 0) {
+                throw new Error(`Invalid settings: ${errors.join(', ')}`);
+            }
+            
+            let updatedAccount = null;
+            
+            const saved = modifyAccounts(() => {
+                updatedAccount = accounts.find(acc => acc.uuid === uuid);
+                if (!updatedAccount) {
+                    return false;
+                }
+                
+                updatedAccount.settings = applySettings(replace ? {} : updatedAccount.settings, changes);
+                return saveAccounts();
+            });
+            
+            if (saved) {
+                notify('settingsUpdated', { uuid, settings: toSettings(updatedAccount.settings) });
+            }
+            return saved;
+        } catch (error) {
+            console.error("Error updating account settings:", error.message);
+            return false;
+        }
+    }
+    
+    /**
+     * Replaces all launcher settings of an account
+     * @param {string} uuid - UUID of the account
+     * @param {Object} settings - Settings, see SETTINGS_SCHEMA
+     * @returns {boolean} Whether the settings were valid and saved
+     */
+    function setSettings(uuid, settings) {
+        return writeSettings(uuid, settings, true);
+    }
+    
+    /**
+     * Changes some launcher settings of an account and keeps the others; null clears a setting
+     * @param {string} uuid - UUID of the account
+     * @param {Object} changes - Settings to change, see SETTINGS_SCHEMA
+     * @returns {boolean} Whether the settings were valid and saved
+     */
+    function patchSettings(uuid, changes) {
+        return writeSettings(uuid, changes, false);
+    }
+    
+    /**
+     * Adds an account that plays without authentication, for development and LAN games
+     * @param {string} username - Player name, 3-16 letters, digits or underscores
+     * @returns {Promise<Object|null>} Auth data of the saved account, or null if it could not be added
+     */
+    async function addOfflineAccount(username) {
+        try {
+            if (!isValidOfflineUsername(username)) {
+                throw new Error("Username must be 3-16 characters of letters, digits or underscores");
+            }
+            
+            const authData = {
+                uuid: getOfflineUUID(username),
+                username,
+                type: 'offline',
+                accessToken: crypto.randomBytes(16).toString('hex'),
+                clientToken: crypto.randomBytes(16).toString('hex')
+            };
+            
+            if (!(await addAccount(authData))) {
+                return null;
+            }
+            
+            return getAuthData(authData.uuid);
+        } catch (error) {
+            console.error("Error adding offline account:", error.message);
+            return null;
+        }
+    }
+
+    /**
+     * Listens to account changes
+     * @param {string|Function} event - Event name, or a listener called as listener(event, ...args) for every change event
+     * @param {Function} listener - Listener of the event
+     * @returns {Function} Removes the listener again
+     */
+    function subscribe(event, listener) {
+        if (typeof event === 'function') {
+            const handlers = CHANGE_EVENTS.map(name => [name, (...args) => event(name, ...args)]);
+            
+            handlers.forEach(([name, handler]) => accountManager.on(name, handler));
+            return () => handlers.forEach(([name, handler]) => accountManager.off(name, handler));
+        }
+        
+        accountManager.on(event, listener);
+        return () => accountManager.off(event, listener);
+    }
+
+    Object.assign(accountManager, {
+        addAccount,
+        removeAccount,
+        getAccounts,
+        getActiveAccount,
+        setActiveAccount,
+        getAuthData,
+        updateAuthData,
+        updateAuthDataAsync,
+        addOfflineAccount,
+        getOfflineUUID,
+        isValidOfflineUsername,
+        configureStorage,
+        flushStorage,
+        unlock,
+        lock,
+        isLocked,
+        changePassphrase,
+        getStorageError,
+        restoreFromBackup,
+        resetStorage,
+        exportAccounts,
+        importAccounts,
+        getSettings,
+        setSettings,
+        patchSettings,
+        validateSettings,
+        subscribe
+    });
+
+    accountManager.ready = Promise.resolve(config ? configureStorage(config) : true);
+    return accountManager;
 }
 
-initializeAccountStorage();
-
-module.exports = {
-    addAccount,
-    removeAccount,
-    getAccounts,
-    getActiveAccount,
-    setActiveAccount,
-    getAuthData,
-    updateAuthData,
-    configureStorage
-}; 
\ No newline at end of file
+module.exports = Object.assign(createAccountManager(), {
+    createAccountManager
+});
\ No newline at end of file
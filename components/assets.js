@@ -0,0 +1,113 @@
+const fs = require('fs');
+const path = require('path');
+const { downloadFile, runWithConcurrency } = require('./download');
+
+const RESOURCES_URL = 'https://resources.download.minecraft.net';
+const DEFAULT_CONCURRENCY = 16;
+
+function getObjectPath(directory, hash) {
+    return path.join(directory, 'assets', 'objects', hash.substring(0, 2), hash);
+}
+
+function copyIfChanged(source, target, size) {
+    try {
+        if (fs.statSync(target).size === size) {
+            return;
+        }
+    } catch (error) {
+        // Target does not exist yet
+    }
+
+    fs.mkdirSync(path.dirname(target), { recursive: true });
+    fs.copyFileSync(source, target);
+}
+
+/**
+ * Downloads the asset index of a version and every object it references.
+ * Objects are stored once in assets/objects/<hh>/<hash> and shared between versions.
+ * @param {Object} details - Version JSON with an assetIndex entry
+ * @param {Object} options - Options for the installation
+ * @param {string} options.directory - Directory holding the assets folder
+ * @param {string} options.gameDirectory - Directory receiving the resources folder of map_to_resources indexes
+ * @param {number} options.concurrency - Maximum number of parallel downloads
+ * @param {Function} options.onProgress - Called with (file, downloaded, current, total) after each object
+ * @returns {Promise<Object>} Asset index ID with total, downloaded and skipped object counts
+ */
+async function installAssets(details, options = {}) {
+    const assetIndex = details.assetIndex;
+
+    if (!assetIndex || !assetIndex.url) {
+        throw new Error(`Version "${details.id}" does not declare an asset index`);
+    }
+
+    const directory = options.directory;
+    const indexPath = path.join(directory, 'assets', 'indexes', `${assetIndex.id}.json`);
+
+    await downloadFile(assetIndex.url, indexPath, {
+        sha1: assetIndex.sha1,
+        size: assetIndex.size
+    });
+
+    const index = JSON.parse(fs.readFileSync(indexPath, 'utf8'));
+    const objects = new Map();
+
+    for (const object of Object.values(index.objects || {})) {
+        objects.set(object.hash, object);
+    }
+
+    const uniqueObjects = Array.from(objects.values());
+    let completed = 0;
+    let downloaded = 0;
+
+    await runWithConcurrency(uniqueObjects, options.concurrency || DEFAULT_CONCURRENCY, async object => {
+        const prefix = object.hash.substring(0, 2);
+        const result = await downloadFile(`${RESOURCES_URL}/${prefix}/${object.hash}`, getObjectPath(directory, object.hash), {
+            sha1: object.hash,
+            size: object.size
+        });
+
+        if (result.downloaded) {
+            downloaded++;
+        }
+
+        completed++;
+        if (typeof options.onProgress === 'function') {
+            options.onProgress(object.hash, result.downloaded, completed, uniqueObjects.length);
+        }
+    });
+
+    if (index.virtual || index.map_to_resources) {
+        const targets = [];
+
+        if (index.virtual) {
+            targets.push(path.join(directory, 'assets', 'virtual', assetIndex.id));
+        }
+
+        if (index.map_to_resources) {
+            targets.push(path.join(options.gameDirectory || directory, 'resources'));
+        }
+
+        for (const [name, object] of Object.entries(index.objects || {})) {
+            const source = getObjectPath(directory, object.hash);
+
+            for (const target of targets) {
+                const destination = path.join(target, name);
+                if (destination.startsWith(target + path.sep)) {
+                    copyIfChanged(source, destination, object.size);
+                }
+            }
+        }
+    }
+
+    return {
+        assetIndex: assetIndex.id,
+        objects: uniqueObjects.length,
+        downloaded,
+        skipped: uniqueObjects.length - downloaded
+    };
+}
+
+module.exports = {
+    installAssets,
+    getObjectPath
+};
\ No newline at end of file
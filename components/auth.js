@@ -1,195 +1,409 @@
 const crypto = require('crypto');
+const http = require('http');
+const EventEmitter = require('events');
 const { v4: uuidv4 } = require('uuid');
-const accountManager = require('./accounts');
+const defaultAccountManager = require('./accounts');
+const xboxAuth = require('./xboxAuth');
+const yggdrasil = require('./yggdrasil');
+const { AuthError, withContext, MOJANG_AUTH_DISCONTINUED, MOJANG_DISCONTINUED_MESSAGE } = require('./errors');
 
 const ENDPOINTS = {
-    MOJANG: {
-        AUTH: 'https://authserver.mojang.com/authenticate',
-        REFRESH: 'https://authserver.mojang.com/refresh',
-        VALIDATE: 'https://authserver.mojang.com/validate',
-        INVALIDATE: 'https://authserver.mojang.com/invalidate'
-    },
     MICROSOFT: {
-        AUTH: 'https://login.live.com/oauth20_token.srf',
-        XBL: 'https://user.auth.xboxlive.com/user/authenticate',
-        XSTS: 'https://xsts.auth.xboxlive.com/xsts/authorize',
-        MINECRAFT: 'https://api.minecraftservices.com/authentication/login_with_xbox',
-        PROFILE: 'https://api.minecraftservices.com/minecraft/profile'
+        DEVICE_CODE: 'https://login.microsoftonline.com/consumers/oauth2/v2.0/devicecode',
+        DEVICE_TOKEN: 'https://login.microsoftonline.com/consumers/oauth2/v2.0/token'
     }
 };
 
-async function mojangAuthenticate(username, password) {
+/**
+ * Revokes every session of a user on a Yggdrasil server
+ * @param {string} serverUrl - Address of the server
+ * @param {string} username - Username or email
+ * @param {string} password - Password
+ * @returns {Promise<boolean>} True once signed out
+ */
+async function yggdrasilSignout(serverUrl, username, password) {
     try {
-        if (!username || !password) {
-            throw new Error('Username and password are required');
-        }
+        const { apiRoot } = await yggdrasil.resolveApiRoot(serverUrl);
+        return await yggdrasil.signout(apiRoot, username, password);
+    } catch (error) {
+        throw withContext('Yggdrasil sign-out failed', error);
+    }
+}
+
+const AUTHORIZATION_TTL = 10 * 60 * 1000;
+
+// Tokens are renewed slightly before they expire to allow for clock skew and request time
+const EXPIRY_SKEW = 60 * 1000;
+
+function isTokenValid(token) {
+    return Boolean(token && token.expiresAt && token.expiresAt - EXPIRY_SKEW > Date.now());
+}
+
+/**
+ * @param {Object} tokenData - Microsoft token response
+ * @param {string} issuer - 'live' for login.live.com, 'consumers' for the device code flow of login.microsoftonline.com.
+ * Refresh tokens are only redeemed at the endpoint that issued them.
+ */
+function toMsaToken(tokenData, issuer = 'live') {
+    return {
+        accessToken: tokenData.access_token,
+        expiresAt: Date.now() + (tokenData.expires_in * 1000),
+        issuer
+    };
+}
+
+function getTokenEndpoint(tokens) {
+    const issuer = tokens && tokens.msa && tokens.msa.issuer;
+    return issuer === 'consumers' ? ENDPOINTS.MICROSOFT.DEVICE_TOKEN : undefined;
+}
+
+function toXstsToken(xsts) {
+    return {
+        token: xsts.token,
+        userHash: xsts.userHash,
+        expiresAt: xsts.expiresAt
+    };
+}
+
+const DEMO_USERNAME = 'Player';
+
+/**
+ * Stable UUID for a demo account, which has no Minecraft profile of its own
+ */
+function getDemoUUID(userHash) {
+    const hash = crypto.createHash('md5').update(`DemoPlayer:${userHash}`).digest();
+    hash[6] = (hash[6] & 0x0f) | 0x30;
+    hash[8] = (hash[8] & 0x3f) | 0x80;
+    return hash.toString('hex');
+}
 
-        const clientToken = crypto.randomBytes(16).toString('hex');
+/**
+ * Requests a device code for signing in on another device (CLI, headless or SSH setups)
+ * @returns {Promise<Object>} Device code with userCode, verificationUri, expiresIn and interval
+ */
+async function microsoftRequestDeviceCode() {
+    try {
+        const clientId = process.env.MS_CLIENT_ID;
+        if (!clientId) {
+            throw new Error('Microsoft client ID is not configured');
+        }
         
-        const response = await fetch(ENDPOINTS.MOJANG.AUTH, {
+        const response = await fetch(ENDPOINTS.MICROSOFT.DEVICE_CODE, {
             method: 'POST',
             headers: {
-                'Content-Type': 'application/json'
+                'Content-Type': 'application/x-www-form-urlencoded'
             },
-            body: JSON.stringify({
-                agent: {
-                    name: 'Minecraft',
-                    version: 1
-                },
-                username,
-                password,
-                clientToken
+            body: new URLSearchParams({
+                client_id: clientId,
+                scope: 'XboxLive.signin offline_access'
             })
         });
         
         if (!response.ok) {
-            const errorData = await response.json();
-            throw new Error(errorData.errorMessage || `Error ${response.status}: ${response.statusText}`);
+            throw new Error(`Failed to get device code: ${response.status}`);
         }
         
         const data = await response.json();
         
-        if (!data.accessToken) {
-            throw new Error('Invalid authentication response');
+        return {
+            deviceCode: data.device_code,
+            userCode: data.user_code,
+            verificationUri: data.verification_uri,
+            message: data.message,
+            interval: data.interval || 5,
+            expiresIn: data.expires_in,
+            expiresAt: Date.now() + (data.expires_in * 1000)
+        };
+    } catch (error) {
+        throw new Error(`Failed to request Microsoft device code: ${error.message}`);
+    }
+}
+
+function wait(ms, signal) {
+    return new Promise((resolve, reject) => {
+        if (signal && signal.aborted) {
+            reject(new Error('Login cancelled'));
+            return;
         }
         
-        const authData = {
-            accessToken: data.accessToken,
-            clientToken: data.clientToken,
-            uuid: data.selectedProfile.id,
-            username: data.selectedProfile.name,
-            type: 'mojang'
-        };
+        const timeoutId = setTimeout(() => {
+            if (signal) {
+                signal.removeEventListener('abort', onAbort);
+            }
+            resolve();
+        }, ms);
         
-        const added = await accountManager.addAccount(authData);
-        if (!added) {
-            throw new Error('Failed to save account');
+        function onAbort() {
+            clearTimeout(timeoutId);
+            reject(new Error('Login cancelled'));
         }
         
-        return authData;
+        if (signal) {
+            signal.addEventListener('abort', onAbort, { once: true });
+        }
+    });
+}
+
+const LOOPBACK_TIMEOUT = 5 * 60 * 1000;
+
+const DEFAULT_SUCCESS_PAGE = '<!DOCTYPE html><html><head><meta charset="utf-8"><title>Signed in</title></head>'
+    + '<body><h1>Signed in</h1><p>You can close this window and return to the launcher.</p></body></html>';
+
+const DEFAULT_FAILURE_PAGE = '<!DOCTYPE html><html><head><meta charset="utf-8"><title>Sign-in failed</title></head>'
+    + '<body><h1>Sign-in failed</h1><p>Please return to the launcher and try again.</p></body></html>';
+
+function renderPage(page, value) {
+    return typeof page === 'function' ? page(value) : page;
+}
+
+/**
+ * Answers a loopback callback with a page. The page is rendered before the headers are sent,
+ * so a renderer that throws still gets a response instead of failing the request handler.
+ */
+function sendPage(res, status, page, value) {
+    let body;
+    try {
+        body = renderPage(page, value);
     } catch (error) {
-        throw new Error(`Mojang authentication failed: ${error.message}`);
+        status = 500;
+        body = 'The page could not be rendered';
+    }
+    
+    if (res.headersSent) {
+        res.end();
+        return;
     }
+    
+    res.writeHead(status, { 'Content-Type': 'text/html; charset=utf-8' });
+    res.end(body);
 }
 
-async function microsoftAuthenticateWithCode(code, redirectUri) {
-    try {
-        if (!code || !redirectUri) {
-            throw new Error('Authorization code and redirect URI are required');
-        }
-        
-        const clientId = process.env.MS_CLIENT_ID;
-        if (!clientId) {
-            throw new Error('Microsoft client ID is not configured');
+const SCHEDULER_DEFAULTS = {
+    margin: 5 * 60 * 1000,
+    resyncInterval: 60 * 1000,
+    minBackoff: 30 * 1000,
+    maxBackoff: 15 * 60 * 1000
+};
+
+// setTimeout fires immediately for delays above 2^31 - 1 ms
+const MAX_TIMER_DELAY = 2147483647;
+
+/**
+ * Whether a refresh failure can only be resolved by signing in again
+ */
+function needsReauthentication(error) {
+    return error instanceof AuthError;
+}
+
+const authServices = new WeakMap();
+
+function buildAuthService(accountManager) {
+    /**
+     * Signs in with a legacy Mojang account. authserver.mojang.com no longer authenticates anyone,
+     * so this only works with a custom Yggdrasil server and fails fast otherwise.
+     * @param {string} username - Username or email
+     * @param {string} password - Password
+     * @param {Object} options - Sign-in options, passed on to yggdrasilAuthenticate
+     * @param {string} options.authServer - Address of a Yggdrasil server to sign in to instead
+     * @returns {Promise<Object>} Auth data of the saved account
+     */
+    async function mojangAuthenticate(username, password, options = {}) {
+        if (options.authServer) {
+            return yggdrasilAuthenticate(options.authServer, username, password, options);
         }
         
-        const tokenResponse = await fetch(ENDPOINTS.MICROSOFT.AUTH, {
-            method: 'POST',
-            headers: {
-                'Content-Type': 'application/x-www-form-urlencoded'
-            },
-            body: new URLSearchParams({
-                client_id: clientId,
-                code,
-                grant_type: 'authorization_code',
-                redirect_uri: redirectUri
-            })
-        });
+        throw new AuthError(`Mojang authentication failed: ${MOJANG_DISCONTINUED_MESSAGE}`, MOJANG_AUTH_DISCONTINUED);
+    }
+
+    /**
+     * Reports stored legacy Mojang accounts, which have to be migrated to Microsoft accounts
+     * @returns {Object} Status with migrationRequired and the affected accounts
+     */
+    function getMigrationStatus() {
+        const legacyAccounts = accountManager.getAccounts()
+            .filter(account => account.type === 'mojang')
+            .map(account => ({
+                uuid: account.uuid,
+                username: account.username,
+                active: account.active,
+                code: MOJANG_AUTH_DISCONTINUED,
+                message: MOJANG_DISCONTINUED_MESSAGE
+            }));
         
-        if (!tokenResponse.ok) {
-            throw new Error(`Failed to get Microsoft token: ${tokenResponse.status}`);
+        return {
+            migrationRequired: legacyAccounts.length > 0,
+            accounts: legacyAccounts
+        };
+    }
+
+    /**
+     * Signs in to a Yggdrasil-compatible server such as authlib-injector, Blessing Skin or Drasl
+     * @param {string} serverUrl - Address of the server, its API root is discovered automatically
+     * @param {string} username - Username or email
+     * @param {string} password - Password
+     * @param {Object} options - Sign-in options
+     * @param {string} options.profile - ID or name of the profile to use if the account has several
+     * @param {Function} options.selectProfile - Called with the available profiles, returns the one to use
+     * @returns {Promise<Object>} Auth data of the saved account
+     */
+    async function yggdrasilAuthenticate(serverUrl, username, password, options = {}) {
+        try {
+            if (!username || !password) {
+                throw new Error('Username and password are required');
+            }
+            
+            const { apiRoot } = await yggdrasil.resolveApiRoot(serverUrl);
+            const clientToken = crypto.randomBytes(16).toString('hex');
+            
+            let session = await yggdrasil.authenticate(apiRoot, username, password, clientToken);
+            
+            if (yggdrasil.requiresProfileSelection(session)) {
+                let profile = options.profile;
+                
+                if (!profile && options.selectProfile) {
+                    profile = await options.selectProfile(session.availableProfiles);
+                }
+                
+                if (!profile && session.availableProfiles.length === 1) {
+                    profile = session.availableProfiles[0];
+                }
+                
+                if (!profile) {
+                    throw new AuthError('The account has several profiles, choose one to continue', 'PROFILE_SELECTION_REQUIRED', {
+                        availableProfiles: session.availableProfiles
+                    });
+                }
+                
+                session = await yggdrasil.selectProfile(apiRoot, session, profile);
+            }
+            
+            if (!session.selectedProfile) {
+                throw new Error('The account has no profiles');
+            }
+            
+            const authData = {
+                accessToken: session.accessToken,
+                clientToken: session.clientToken,
+                uuid: session.selectedProfile.id,
+                username: session.selectedProfile.name,
+                profile: session.selectedProfile,
+                authServer: apiRoot,
+                type: 'yggdrasil'
+            };
+            
+            const added = await accountManager.addAccount(authData);
+            if (!added) {
+                throw new Error('Failed to save account');
+            }
+            
+            return authData;
+        } catch (error) {
+            throw withContext('Yggdrasil authentication failed', error);
         }
-        
-        const tokenData = await tokenResponse.json();
-        
-        const xblResponse = await fetch(ENDPOINTS.MICROSOFT.XBL, {
-            method: 'POST',
-            headers: {
-                'Content-Type': 'application/json',
-                'Accept': 'application/json'
-            },
-            body: JSON.stringify({
-                Properties: {
-                    AuthMethod: 'RPS',
-                    SiteName: 'user.auth.xboxlive.com',
-                    RpsTicket: `d=${tokenData.access_token}`
-                },
-                RelyingParty: 'http://auth.xboxlive.com',
-                TokenType: 'JWT'
-            })
-        });
-        
-        if (!xblResponse.ok) {
-            throw new Error(`Failed to authenticate with Xbox Live: ${xblResponse.status}`);
+    }
+
+    /**
+     * Exchanges the access token of a Yggdrasil account for a new one
+     * @param {string} uuid - UUID of the account
+     * @returns {Promise<Object>} Updated auth data
+     */
+    async function refreshYggdrasilToken(uuid) {
+        try {
+            const authData = accountManager.getAuthData(uuid);
+            
+            if (!authData || authData.type !== 'yggdrasil') {
+                throw new Error('No Yggdrasil account found');
+            }
+            
+            const session = await yggdrasil.refresh(authData.authServer, authData);
+            
+            const updated = await accountManager.updateAuthDataAsync(uuid, {
+                accessToken: session.accessToken,
+                profile: session.selectedProfile
+            });
+            if (!updated) {
+                throw new Error('Failed to update account auth data');
+            }
+            
+            return accountManager.getAuthData(uuid);
+        } catch (error) {
+            throw withContext('Token refresh failed', error);
         }
+    }
+
+    const pendingAuthorizations = new Map();
+
+    function removeExpiredAuthorizations() {
+        const now = Date.now();
         
-        const xblData = await xblResponse.json();
-        
-        const xstsResponse = await fetch(ENDPOINTS.MICROSOFT.XSTS, {
-            method: 'POST',
-            headers: {
-                'Content-Type': 'application/json',
-                'Accept': 'application/json'
-            },
-            body: JSON.stringify({
-                Properties: {
-                    SandboxId: 'RETAIL',
-                    UserTokens: [xblData.Token]
-                },
-                RelyingParty: 'rp://api.minecraftservices.com/',
-                TokenType: 'JWT'
-            })
-        });
-        
-        if (!xstsResponse.ok) {
-            const xstsError = await xstsResponse.json();
-            if (xstsError.XErr === 2148916233) {
-                throw new Error('The Microsoft account does not have an Xbox account');
+        for (const [state, pending] of pendingAuthorizations) {
+            if (pending.expiresAt <= now) {
+                pendingAuthorizations.delete(state);
             }
-            throw new Error(`Failed to get XSTS token: ${xstsResponse.status}`);
+        }
+    }
+
+    /**
+     * Takes the pending authorization of a state out of the store, so it can only be used once
+     * @param {string} state - State returned in the redirect
+     * @param {string} redirectUri - Redirect URI used for the authorization request
+     * @returns {Object} Pending authorization with the PKCE code verifier
+     */
+    function consumeAuthorization(state, redirectUri) {
+        if (!state) {
+            throw new Error('Authorization state is required');
         }
         
-        const xstsData = await xstsResponse.json();
+        const pending = pendingAuthorizations.get(state);
+        pendingAuthorizations.delete(state);
         
-        const minecraftResponse = await fetch(ENDPOINTS.MICROSOFT.MINECRAFT, {
-            method: 'POST',
-            headers: {
-                'Content-Type': 'application/json'
-            },
-            body: JSON.stringify({
-                identityToken: `XBL3.0 x=${xblData.DisplayClaims.xui[0].uhs};${xstsData.Token}`
-            })
-        });
+        if (!pending || pending.expiresAt <= Date.now()) {
+            throw new Error('Unknown or expired authorization state');
+        }
         
-        if (!minecraftResponse.ok) {
-            throw new Error(`Failed to authenticate with Minecraft: ${minecraftResponse.status}`);
+        if (pending.redirectUri !== redirectUri) {
+            throw new Error('Redirect URI does not match the authorization request');
         }
         
-        const minecraftData = await minecraftResponse.json();
+        return pending;
+    }
+
+    async function completeMicrosoftLogin(tokenData, issuer = 'live') {
+        const { xsts, minecraft } = await xboxAuth.exchangeMicrosoftToken(tokenData.access_token);
         
-        const profileResponse = await fetch(ENDPOINTS.MICROSOFT.PROFILE, {
-            headers: {
-                'Authorization': `Bearer ${minecraftData.access_token}`
-            }
-        });
+        // Ownership is informational, a failed check must not block the login
+        const entitlements = await xboxAuth.getEntitlements(minecraft.accessToken).catch(() => null);
+        const ownsGame = Boolean(entitlements && (entitlements.ownsJavaEdition || entitlements.gamePass));
         
-        if (!profileResponse.ok) {
-            if (profileResponse.status === 404) {
-                throw new Error('You need to buy Minecraft to continue');
+        let profileData = null;
+        try {
+            profileData = await xboxAuth.getMinecraftProfile(minecraft.accessToken);
+        } catch (error) {
+            if (error.code !== 'NO_MINECRAFT_PROFILE' || !entitlements) {
+                throw error;
+            }
+            
+            if (ownsGame) {
+                throw new AuthError('The account owns Minecraft but has not created a profile yet', 'NO_MINECRAFT_PROFILE');
             }
-            throw new Error(`Failed to get Minecraft profile: ${profileResponse.status}`);
         }
         
-        const profileData = await profileResponse.json();
-        
         const authData = {
-            accessToken: minecraftData.access_token,
+            accessToken: minecraft.accessToken,
             clientToken: uuidv4(),
             refreshToken: tokenData.refresh_token,
-            expiresAt: Date.now() + (tokenData.expires_in * 1000),
-            uuid: profileData.id,
-            username: profileData.name,
+            expiresAt: minecraft.expiresAt,
+            tokens: {
+                msa: toMsaToken(tokenData, issuer),
+                xsts: toXstsToken(xsts),
+                minecraft: { expiresAt: minecraft.expiresAt }
+            },
+            uuid: profileData ? profileData.id : getDemoUUID(xsts.userHash),
+            username: profileData ? profileData.name : DEMO_USERNAME,
             profile: profileData,
+            entitlements,
+            // Only accounts without a profile play the demo, some Game Pass accounts have no entitlements listed
+            demo: !profileData,
             type: 'microsoft'
         };
         
@@ -199,221 +413,693 @@ async function microsoftAuthenticateWithCode(code, redirectUri) {
         }
         
         return authData;
-    } catch (error) {
-        throw new Error(`Microsoft authentication failed: ${error.message}`);
     }
-}
 
-async function microsoftGenerateAuthUrl(redirectUri) {
-    try {
-        const clientId = process.env.MS_CLIENT_ID;
-        if (!clientId) {
-            throw new Error('Microsoft client ID is not configured');
+    async function microsoftAuthenticateWithCode(code, redirectUri, state) {
+        try {
+            if (!code || !redirectUri) {
+                throw new Error('Authorization code and redirect URI are required');
+            }
+            
+            const pending = consumeAuthorization(state, redirectUri);
+            
+            const tokenData = await xboxAuth.requestMicrosoftToken({
+                code,
+                grant_type: 'authorization_code',
+                redirect_uri: redirectUri,
+                code_verifier: pending.codeVerifier
+            });
+            
+            return await completeMicrosoftLogin(tokenData);
+        } catch (error) {
+            throw withContext('Microsoft authentication failed', error);
         }
-        
-        const state = crypto.randomBytes(16).toString('hex');
-        
-        const params = new URLSearchParams({
-            client_id: clientId,
-            response_type: 'code',
-            redirect_uri: redirectUri,
-            scope: 'XboxLive.signin offline_access',
-            state
-        });
-        
-        return {
-            url: `https://login.live.com/oauth20_authorize.srf?${params.toString()}`,
-            state
-        };
-    } catch (error) {
-        throw new Error(`Failed to generate Microsoft auth URL: ${error.message}`);
     }
-}
 
-async function refreshMicrosoftToken(uuid) {
-    try {
-        const authData = accountManager.getAuthData(uuid);
-        
-        if (!authData || !authData.refreshToken) {
-            throw new Error('No refresh token available');
+    /**
+     * Polls until the user has entered the device code, then completes the Minecraft login
+     * @param {Object} deviceCode - Result of microsoftRequestDeviceCode
+     * @param {Object} options - Polling options
+     * @param {AbortSignal} options.signal - Signal to cancel polling
+     * @returns {Promise<Object>} Auth data of the saved account
+     */
+    async function microsoftAuthenticateWithDeviceCode(deviceCode, options = {}) {
+        try {
+            if (!deviceCode || !deviceCode.deviceCode) {
+                throw new Error('Device code is required');
+            }
+            
+            const clientId = process.env.MS_CLIENT_ID;
+            if (!clientId) {
+                throw new Error('Microsoft client ID is not configured');
+            }
+            
+            let interval = (deviceCode.interval || 5) * 1000;
+            
+            while (Date.now() < deviceCode.expiresAt) {
+                await wait(interval, options.signal);
+                
+                const tokenResponse = await fetch(ENDPOINTS.MICROSOFT.DEVICE_TOKEN, {
+                    method: 'POST',
+                    headers: {
+                        'Content-Type': 'application/x-www-form-urlencoded'
+                    },
+                    body: new URLSearchParams({
+                        client_id: clientId,
+                        grant_type: 'urn:ietf:params:oauth:grant-type:device_code',
+                        device_code: deviceCode.deviceCode
+                    })
+                });
+                
+                const tokenData = await tokenResponse.json().catch(() => ({}));
+                
+                if (tokenResponse.ok) {
+                    return await completeMicrosoftLogin(tokenData, 'consumers');
+                }
+                
+                // Gateway and server errors are transient, the code stays valid
+                if (tokenResponse.status >= 500) {
+                    continue;
+                }
+                
+                switch (tokenData.error) {
+                    case 'authorization_pending':
+                        break;
+                    case 'slow_down':
+                        interval += 5000;
+                        break;
+                    case 'authorization_declined':
+                        throw new Error('The user declined the sign-in request');
+                    case 'expired_token':
+                        throw new Error('The device code has expired');
+                    default:
+                        throw new Error(tokenData.error_description || tokenData.error || `Error ${tokenResponse.status}`);
+                }
+            }
+            
+            throw new Error('The device code has expired');
+        } catch (error) {
+            throw withContext('Microsoft authentication failed', error);
         }
-        
-        const clientId = process.env.MS_CLIENT_ID;
-        if (!clientId) {
-            throw new Error('Microsoft client ID is not configured');
+    }
+
+    async function microsoftGenerateAuthUrl(redirectUri) {
+        try {
+            const clientId = process.env.MS_CLIENT_ID;
+            if (!clientId) {
+                throw new Error('Microsoft client ID is not configured');
+            }
+            
+            if (!redirectUri) {
+                throw new Error('Redirect URI is required');
+            }
+            
+            removeExpiredAuthorizations();
+            
+            const state = crypto.randomBytes(16).toString('hex');
+            const codeVerifier = crypto.randomBytes(32).toString('base64url');
+            const codeChallenge = crypto.createHash('sha256').update(codeVerifier).digest('base64url');
+            
+            pendingAuthorizations.set(state, {
+                codeVerifier,
+                redirectUri,
+                expiresAt: Date.now() + AUTHORIZATION_TTL
+            });
+            
+            const params = new URLSearchParams({
+                client_id: clientId,
+                response_type: 'code',
+                redirect_uri: redirectUri,
+                scope: 'XboxLive.signin offline_access',
+                state,
+                code_challenge: codeChallenge,
+                code_challenge_method: 'S256'
+            });
+            
+            return {
+                url: `https://login.live.com/oauth20_authorize.srf?${params.toString()}`,
+                state
+            };
+        } catch (error) {
+            throw new Error(`Failed to generate Microsoft auth URL: ${error.message}`);
         }
+    }
+
+    /**
+     * Starts a temporary HTTP server on 127.0.0.1 and builds the Microsoft auth URL redirecting to it.
+     * The server waits for the code and state, completes the login and shuts itself down.
+     * @param {Object} options - Options for the loopback login
+     * @param {string} options.callbackPath - Path of the redirect URI (default '/')
+     * @param {number} options.timeout - Time to wait for the callback in milliseconds (default 5 minutes)
+     * @param {string|Function} options.successPage - HTML served after a successful login, or a function of the auth data
+     * @param {string|Function} options.failurePage - HTML served after a failed login, or a function of the error; functions must escape the values they insert
+     * @param {AbortSignal} options.signal - Signal to cancel the login
+     * @returns {Promise<Object>} Handle with url, redirectUri, state, a result promise and cancel()
+     */
+    async function microsoftLoginWithLoopback(options = {}) {
+        const callbackPath = options.callbackPath || '/';
+        const server = http.createServer();
         
-        const tokenResponse = await fetch(ENDPOINTS.MICROSOFT.AUTH, {
-            method: 'POST',
-            headers: {
-                'Content-Type': 'application/x-www-form-urlencoded'
-            },
-            body: new URLSearchParams({
-                client_id: clientId,
-                refresh_token: authData.refreshToken,
-                grant_type: 'refresh_token'
-            })
+        await new Promise((resolve, reject) => {
+            server.once('error', reject);
+            server.listen(0, '127.0.0.1', () => {
+                server.removeListener('error', reject);
+                resolve();
+            });
         });
         
-        if (!tokenResponse.ok) {
-            throw new Error(`Failed to refresh token: ${tokenResponse.status}`);
+        const redirectUri = `http://127.0.0.1:${server.address().port}${callbackPath}`;
+        
+        let authUrl;
+        try {
+            authUrl = await microsoftGenerateAuthUrl(redirectUri);
+        } catch (error) {
+            server.close();
+            throw error;
         }
         
-        const tokenData = await tokenResponse.json();
+        let settled = false;
+        let callbackReceived = false;
+        let cancel;
         
-        const xblResponse = await fetch(ENDPOINTS.MICROSOFT.XBL, {
-            method: 'POST',
-            headers: {
-                'Content-Type': 'application/json',
-                'Accept': 'application/json'
-            },
-            body: JSON.stringify({
-                Properties: {
-                    AuthMethod: 'RPS',
-                    SiteName: 'user.auth.xboxlive.com',
-                    RpsTicket: `d=${tokenData.access_token}`
-                },
-                RelyingParty: 'http://auth.xboxlive.com',
-                TokenType: 'JWT'
-            })
+        const result = new Promise((resolve, reject) => {
+            const timeoutId = setTimeout(() => finish(new Error('Login timed out')), options.timeout || LOOPBACK_TIMEOUT);
+            
+            function onAbort() {
+                finish(new Error('Login cancelled'));
+            }
+            
+            function finish(error, authData) {
+                if (settled) {
+                    return;
+                }
+                settled = true;
+                
+                clearTimeout(timeoutId);
+                if (options.signal) {
+                    options.signal.removeEventListener('abort', onAbort);
+                }
+                
+                pendingAuthorizations.delete(authUrl.state);
+                server.close();
+                server.closeAllConnections();
+                
+                if (error) {
+                    const prefixed = error.message.startsWith('Microsoft authentication failed: ');
+                    reject(prefixed ? error : withContext('Microsoft authentication failed', error));
+                } else {
+                    resolve(authData);
+                }
+            }
+            
+            cancel = () => finish(new Error('Login cancelled'));
+            
+            if (options.signal) {
+                if (options.signal.aborted) {
+                    onAbort();
+                    return;
+                }
+                options.signal.addEventListener('abort', onAbort, { once: true });
+            }
+            
+            server.on('request', async (req, res) => {
+                const url = new URL(req.url, redirectUri);
+                
+                // Only the first callback redeems the code, browser retries and prefetches would fail with invalid_grant
+                if (url.pathname !== callbackPath || settled || callbackReceived) {
+                    res.writeHead(404, { 'Content-Type': 'text/plain' });
+                    res.end('Not found');
+                    return;
+                }
+                
+                const code = url.searchParams.get('code');
+                const state = url.searchParams.get('state');
+                const oauthError = url.searchParams.get('error');
+                
+                // Callbacks for another authorization request are answered but do not end the login
+                if (state !== authUrl.state) {
+                    sendPage(res, 400, options.failurePage || DEFAULT_FAILURE_PAGE, new Error('Unknown authorization state'));
+                    return;
+                }
+                
+                callbackReceived = true;
+                
+                try {
+                    if (oauthError) {
+                        throw new Error(url.searchParams.get('error_description') || oauthError);
+                    }
+                    
+                    if (!code) {
+                        throw new Error('No authorization code received');
+                    }
+                    
+                    const authData = await microsoftAuthenticateWithCode(code, redirectUri, state);
+                    
+                    sendPage(res, 200, options.successPage || DEFAULT_SUCCESS_PAGE, authData);
+                    finish(null, authData);
+                } catch (error) {
+                    sendPage(res, 400, options.failurePage || DEFAULT_FAILURE_PAGE, error);
+                    finish(error);
+                }
+            });
         });
         
-        if (!xblResponse.ok) {
-            throw new Error(`Failed to authenticate with Xbox Live: ${xblResponse.status}`);
-        }
+        // Callers usually open the browser before awaiting the result
+        result.catch(() => {});
         
-        const xblData = await xblResponse.json();
+        return {
+            url: authUrl.url,
+            redirectUri,
+            state: authUrl.state,
+            result,
+            cancel: () => cancel()
+        };
+    }
+
+    const pendingRefreshes = new Map();
+
+    /**
+     * Refreshes the tokens of a Microsoft account with the shortest exchange still possible:
+     * only login_with_xbox while the XSTS token is valid, the Xbox exchange while the
+     * Microsoft access token is valid, or a full refresh with the refresh token.
+     * Concurrent calls for the same account share one request, so the refresh token is only redeemed once.
+     * @param {string} uuid - UUID of the account
+     * @param {Object} options - Refresh options
+     * @param {boolean} options.full - Always redeem the refresh token
+     * @returns {Promise<Object>} Updated auth data
+     */
+    function refreshMicrosoftToken(uuid, options = {}) {
+        if (pendingRefreshes.has(uuid)) {
+            return pendingRefreshes.get(uuid);
+        }
         
-        const xstsResponse = await fetch(ENDPOINTS.MICROSOFT.XSTS, {
-            method: 'POST',
-            headers: {
-                'Content-Type': 'application/json',
-                'Accept': 'application/json'
-            },
-            body: JSON.stringify({
-                Properties: {
-                    SandboxId: 'RETAIL',
-                    UserTokens: [xblData.Token]
-                },
-                RelyingParty: 'rp://api.minecraftservices.com/',
-                TokenType: 'JWT'
-            })
+        const refresh = performMicrosoftRefresh(uuid, options).finally(() => {
+            pendingRefreshes.delete(uuid);
         });
         
-        if (!xstsResponse.ok) {
-            throw new Error(`Failed to get XSTS token: ${xstsResponse.status}`);
+        pendingRefreshes.set(uuid, refresh);
+        return refresh;
+    }
+
+    async function partialMicrosoftRefresh(tokens) {
+        if (isTokenValid(tokens.xsts)) {
+            const minecraft = await xboxAuth.loginWithXbox(tokens.xsts.userHash, tokens.xsts.token);
+            
+            return {
+                accessToken: minecraft.accessToken,
+                expiresAt: minecraft.expiresAt,
+                tokens: {
+                    minecraft: { expiresAt: minecraft.expiresAt }
+                }
+            };
         }
         
-        const xstsData = await xstsResponse.json();
+        if (isTokenValid(tokens.msa)) {
+            const { xsts, minecraft } = await xboxAuth.exchangeMicrosoftToken(tokens.msa.accessToken);
+            
+            return {
+                accessToken: minecraft.accessToken,
+                expiresAt: minecraft.expiresAt,
+                tokens: {
+                    xsts: toXstsToken(xsts),
+                    minecraft: { expiresAt: minecraft.expiresAt }
+                }
+            };
+        }
         
-        const minecraftResponse = await fetch(ENDPOINTS.MICROSOFT.MINECRAFT, {
-            method: 'POST',
-            headers: {
-                'Content-Type': 'application/json'
-            },
-            body: JSON.stringify({
-                identityToken: `XBL3.0 x=${xblData.DisplayClaims.xui[0].uhs};${xstsData.Token}`
-            })
-        });
+        return null;
+    }
+
+    async function performMicrosoftRefresh(uuid, options) {
+        try {
+            const authData = accountManager.getAuthData(uuid);
+            
+            if (!authData || !authData.refreshToken) {
+                throw new Error('No refresh token available');
+            }
+            
+            let updatedAuthData = null;
+            
+            if (!options.full && authData.tokens) {
+                // A rejected intermediate token falls back to the full refresh
+                updatedAuthData = await partialMicrosoftRefresh(authData.tokens).catch(() => null);
+            }
+            
+            if (!updatedAuthData) {
+                const tokenEndpoint = getTokenEndpoint(authData.tokens);
+                const tokenData = await xboxAuth.requestMicrosoftToken({
+                    refresh_token: authData.refreshToken,
+                    grant_type: 'refresh_token'
+                }, tokenEndpoint);
+                
+                const { xsts, minecraft } = await xboxAuth.exchangeMicrosoftToken(tokenData.access_token);
+                
+                updatedAuthData = {
+                    accessToken: minecraft.accessToken,
+                    refreshToken: tokenData.refresh_token,
+                    expiresAt: minecraft.expiresAt,
+                    tokens: {
+                        msa: toMsaToken(tokenData, tokenEndpoint ? 'consumers' : 'live'),
+                        xsts: toXstsToken(xsts),
+                        minecraft: { expiresAt: minecraft.expiresAt }
+                    }
+                };
+            }
+            
+            const updated = await accountManager.updateAuthDataAsync(uuid, updatedAuthData);
+            if (!updated) {
+                throw new Error('Failed to update account auth data');
+            }
+            
+            return accountManager.getAuthData(uuid);
+        } catch (error) {
+            throw withContext('Token refresh failed', error);
+        }
+    }
+
+    const refreshScheduler = new EventEmitter();
+    const scheduledRefreshes = new Map();
+    const refreshFailures = new Map();
+    const lastRefreshes = new Map();
+    const reauthRequired = new Map();
+    let schedulerConfig = null;
+    let resyncTimer = null;
+
+    function scheduleRefresh(uuid, dueAt) {
+        const scheduled = scheduledRefreshes.get(uuid);
+        if (scheduled) {
+            if (scheduled.dueAt === dueAt) {
+                return;
+            }
+            clearTimeout(scheduled.timer);
+        }
+        
+        const delay = Math.min(Math.max(dueAt - Date.now(), 0), MAX_TIMER_DELAY);
+        const timer = setTimeout(() => runScheduledRefresh(uuid), delay);
+        timer.unref();
         
-        if (!minecraftResponse.ok) {
-            throw new Error(`Failed to authenticate with Minecraft: ${minecraftResponse.status}`);
+        scheduledRefreshes.set(uuid, { dueAt, timer });
+    }
+
+    function unscheduleRefresh(uuid) {
+        const scheduled = scheduledRefreshes.get(uuid);
+        if (scheduled) {
+            clearTimeout(scheduled.timer);
+            scheduledRefreshes.delete(uuid);
         }
+    }
+
+    async function runScheduledRefresh(uuid) {
+        scheduledRefreshes.delete(uuid);
         
-        const minecraftData = await minecraftResponse.json();
+        if (!schedulerConfig) {
+            return;
+        }
         
-        const updatedAuthData = {
-            accessToken: minecraftData.access_token,
-            refreshToken: tokenData.refresh_token,
-            expiresAt: Date.now() + (tokenData.expires_in * 1000)
-        };
+        try {
+            const authData = await refreshMicrosoftToken(uuid);
+            refreshFailures.delete(uuid);
+            lastRefreshes.set(uuid, Date.now());
+            
+            if (!schedulerConfig) {
+                return;
+            }
+            
+            refreshScheduler.emit('refreshed', {
+                uuid,
+                username: authData.username,
+                expiresAt: authData.expiresAt
+            });
+            syncScheduledRefreshes();
+        } catch (error) {
+            if (!schedulerConfig) {
+                return;
+            }
+            
+            if (needsReauthentication(error)) {
+                const authData = accountManager.getAuthData(uuid);
+                refreshFailures.delete(uuid);
+                reauthRequired.set(uuid, authData ? authData.refreshToken : null);
+                
+                refreshScheduler.emit('reauthRequired', { uuid, error });
+                return;
+            }
+            
+            const attempt = (refreshFailures.get(uuid) || 0) + 1;
+            const retryIn = Math.min(schedulerConfig.minBackoff * Math.pow(2, attempt - 1), schedulerConfig.maxBackoff);
+            refreshFailures.set(uuid, attempt);
+            
+            refreshScheduler.emit('refreshFailed', { uuid, error, attempt, retryIn });
+            scheduleRefresh(uuid, Date.now() + retryIn);
+        }
+    }
+
+    /**
+     * Schedules a refresh for every stored Microsoft account and drops removed accounts
+     */
+    function syncScheduledRefreshes() {
+        const tracked = new Set();
         
-        const updated = accountManager.updateAuthData(uuid, updatedAuthData);
-        if (!updated) {
-            throw new Error('Failed to update account auth data');
+        for (const account of accountManager.getAccounts()) {
+            if (account.type !== 'microsoft') {
+                continue;
+            }
+            
+            // Accounts marked for a new sign-in cannot be refreshed until they get a new refresh token
+            const authData = accountManager.getAuthData(account.uuid);
+            if (!authData || !authData.refreshToken || authData.needsReauth) {
+                continue;
+            }
+            
+            // Accounts waiting for a new sign-in are picked up again once their tokens change
+            if (reauthRequired.has(account.uuid)) {
+                if (reauthRequired.get(account.uuid) === authData.refreshToken) {
+                    continue;
+                }
+                reauthRequired.delete(account.uuid);
+            }
+            
+            tracked.add(account.uuid);
+            
+            // The running refresh schedules the next one when it settles
+            if (pendingRefreshes.has(account.uuid)) {
+                continue;
+            }
+            
+            // Accounts in back-off keep their retry timer
+            if (refreshFailures.has(account.uuid) && scheduledRefreshes.has(account.uuid)) {
+                continue;
+            }
+            
+            // A margin longer than the token lifetime must not refresh in a loop
+            const earliest = (lastRefreshes.get(account.uuid) || 0) + schedulerConfig.minBackoff;
+            scheduleRefresh(account.uuid, Math.max((authData.expiresAt || 0) - schedulerConfig.margin, earliest));
         }
         
-        return accountManager.getAuthData(uuid);
-    } catch (error) {
-        throw new Error(`Token refresh failed: ${error.message}`);
+        for (const uuid of scheduledRefreshes.keys()) {
+            if (!tracked.has(uuid)) {
+                unscheduleRefresh(uuid);
+                refreshFailures.delete(uuid);
+                lastRefreshes.delete(uuid);
+            }
+        }
     }
-}
 
-async function validateToken(uuid = null) {
-    try {
-        const authData = uuid ? accountManager.getAuthData(uuid) : accountManager.getAuthData();
+    /**
+     * Starts refreshing stored Microsoft accounts in the background, a margin before they expire
+     * @param {Object} options - Scheduler options
+     * @param {number} options.margin - Time before expiry to refresh in milliseconds (default 5 minutes)
+     * @param {number} options.resyncInterval - Interval for picking up added or removed accounts (default 1 minute)
+     * @param {number} options.minBackoff - First retry delay after a network error (default 30 seconds)
+     * @param {number} options.maxBackoff - Maximum retry delay (default 15 minutes)
+     */
+    refreshScheduler.start = function (options = {}) {
+        refreshScheduler.stop();
         
-        if (!authData) {
-            return false;
+        schedulerConfig = { ...SCHEDULER_DEFAULTS, ...options };
+        
+        syncScheduledRefreshes();
+        
+        resyncTimer = setInterval(syncScheduledRefreshes, schedulerConfig.resyncInterval);
+        resyncTimer.unref();
+    };
+
+    /**
+     * Stops the background refresh and clears all timers
+     */
+    refreshScheduler.stop = function () {
+        if (resyncTimer) {
+            clearInterval(resyncTimer);
+            resyncTimer = null;
         }
         
-        if (authData.type === 'microsoft') {
-            if (authData.expiresAt && authData.expiresAt > Date.now()) {
-                return true;
+        for (const uuid of [...scheduledRefreshes.keys()]) {
+            unscheduleRefresh(uuid);
+        }
+        
+        refreshFailures.clear();
+        lastRefreshes.clear();
+        reauthRequired.clear();
+        schedulerConfig = null;
+    };
+
+    refreshScheduler.isRunning = function () {
+        return schedulerConfig !== null;
+    };
+
+    /**
+     * Re-reads the stored accounts right away, e.g. after adding or removing an account
+     */
+    refreshScheduler.sync = function () {
+        if (schedulerConfig) {
+            syncScheduledRefreshes();
+        }
+    };
+
+    async function validateToken(uuid = null) {
+        try {
+            const authData = uuid ? accountManager.getAuthData(uuid) : accountManager.getAuthData();
+            
+            if (!authData) {
+                return false;
             }
             
-            try {
-                await refreshMicrosoftToken(authData.uuid);
+            // Offline accounts have no session to check
+            if (authData.type === 'offline') {
                 return true;
-            } catch (refreshError) {
-                return false;
             }
-        } else {
-            const response = await fetch(ENDPOINTS.MOJANG.VALIDATE, {
-                method: 'POST',
-                headers: {
-                    'Content-Type': 'application/json'
-                },
-                body: JSON.stringify({
-                    accessToken: authData.accessToken,
-                    clientToken: authData.clientToken
-                })
-            });
             
-            return response.status === 204;
+            if (authData.type === 'yggdrasil') {
+                if (await yggdrasil.validate(authData.authServer, authData.accessToken, authData.clientToken)) {
+                    return true;
+                }
+                
+                try {
+                    await refreshYggdrasilToken(authData.uuid);
+                    return true;
+                } catch (refreshError) {
+                    return false;
+                }
+            }
+            
+            if (authData.type === 'microsoft') {
+                // Accounts saved before per-token lifetimes only have the top-level expiry
+                const minecraftToken = authData.tokens ? authData.tokens.minecraft : authData;
+                if (isTokenValid(minecraftToken)) {
+                    return true;
+                }
+                
+                try {
+                    await refreshMicrosoftToken(authData.uuid);
+                    return true;
+                } catch (refreshError) {
+                    return false;
+                }
+            }
+            
+            // Legacy Mojang sessions can no longer be validated
+            return false;
+        } catch (error) {
+            return false;
         }
-    } catch (error) {
-        return false;
     }
-}
 
-async function logoutAccount(uuid = null) {
-    try {
-        const authData = uuid ? accountManager.getAuthData(uuid) : accountManager.getAuthData();
-        
-        if (!authData) {
-            return false;
+    /**
+     * Checks which Minecraft products an account owns and stores the result on the account. The demo
+     * flag of the account is not changed, it depends on whether the account has a Minecraft profile.
+     * @param {string} uuid - UUID of the account, uses active account if not specified
+     * @returns {Promise<Object>} Entitlements with ownsJavaEdition, gamePass, demo and the raw item names
+     */
+    async function getEntitlements(uuid = null) {
+        try {
+            const authData = uuid ? accountManager.getAuthData(uuid) : accountManager.getAuthData();
+            
+            if (!authData) {
+                throw new Error('No authenticated account found');
+            }
+            
+            if (authData.type !== 'microsoft') {
+                throw new Error('Entitlements are only available for Microsoft accounts');
+            }
+            
+            const isValid = await validateToken(authData.uuid);
+            if (!isValid) {
+                throw new Error('Authentication token is invalid');
+            }
+            
+            const { accessToken } = accountManager.getAuthData(authData.uuid);
+            const entitlements = await xboxAuth.getEntitlements(accessToken);
+            
+            // Entitlements are informational, the demo flag comes from the profile found at sign-in
+            await accountManager.updateAuthDataAsync(authData.uuid, { entitlements });
+            
+            return { ...entitlements, demo: Boolean(authData.demo) };
+        } catch (error) {
+            throw new Error(`Entitlement check failed: ${error.message}`);
         }
-        
-        if (authData.type === 'mojang') {
-            try {
-                await fetch(ENDPOINTS.MOJANG.INVALIDATE, {
-                    method: 'POST',
-                    headers: {
-                        'Content-Type': 'application/json'
-                    },
-                    body: JSON.stringify({
-                        accessToken: authData.accessToken,
-                        clientToken: authData.clientToken
-                    })
-                });
-            } catch (error) {
-                console.warn('Failed to invalidate token on Mojang servers. Continuing with local logout.');
+    }
+
+    async function logoutAccount(uuid = null) {
+        try {
+            const authData = uuid ? accountManager.getAuthData(uuid) : accountManager.getAuthData();
+            
+            if (!authData) {
+                return false;
             }
+            
+            if (authData.type === 'yggdrasil') {
+                try {
+                    await yggdrasil.invalidate(authData.authServer, authData.accessToken, authData.clientToken);
+                } catch (error) {
+                    console.warn('Failed to invalidate token on the authentication server. Continuing with local logout.');
+                }
+            }
+            
+            return accountManager.removeAccount(authData.uuid);
+        } catch (error) {
+            console.error("Error logging out:", error.message);
+            return false;
         }
-        
-        return accountManager.removeAccount(authData.uuid);
-    } catch (error) {
-        console.error("Error logging out:", error.message);
-        return false;
     }
+
+    return {
+        mojangAuthenticate,
+        yggdrasilAuthenticate,
+        refreshYggdrasilToken,
+        yggdrasilSignout,
+        microsoftAuthenticateWithCode,
+        microsoftGenerateAuthUrl,
+        microsoftLoginWithLoopback,
+        microsoftRequestDeviceCode,
+        microsoftAuthenticateWithDeviceCode,
+        refreshMicrosoftToken,
+        refreshScheduler,
+        getEntitlements,
+        getMigrationStatus,
+        validateToken,
+        logoutAccount,
+        accountManager
+    };
+}
+
+/**
+ * Returns the auth service of an account manager. Accounts signed in through it are saved to that
+ * manager, and it keeps its own pending sign-ins, refreshes and refresh scheduler. The service is
+ * created on first use and shared afterwards.
+ * @param {Object} accountManager - Account manager returned by createAccountManager, defaults to the default manager
+ * @returns {Object} Auth service with the functions of this module
+ */
+function createAuthService(accountManager = defaultAccountManager) {
+    if (!accountManager || typeof accountManager !== 'object') {
+        throw new Error('createAuthService expects an account manager returned by createAccountManager');
+    }
+    
+    if (!authServices.has(accountManager)) {
+        authServices.set(accountManager, buildAuthService(accountManager));
+    }
+    return authServices.get(accountManager);
 }
 
-module.exports = {
-    mojangAuthenticate,
-    microsoftAuthenticateWithCode,
-    microsoftGenerateAuthUrl,
-    refreshMicrosoftToken,
-    validateToken,
-    logoutAccount
-}; 
\ No newline at end of file
+module.exports = Object.assign({}, createAuthService(defaultAccountManager), {
+    createAuthService
+});
\ No newline at end of file
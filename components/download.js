@@ -0,0 +1,203 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+
+const DEFAULT_TIMEOUT = 30000;
+const DEFAULT_RETRIES = 3;
+
+/**
+ * Computes the SHA-1 hash of a file
+ * @param {string} filePath - Path of the file to hash
+ * @returns {Promise<string>} Hex encoded SHA-1
+ */
+function hashFile(filePath) {
+    return new Promise((resolve, reject) => {
+        const hash = crypto.createHash('sha1');
+        const stream = fs.createReadStream(filePath);
+
+        stream.on('error', reject);
+        stream.on('data', chunk => hash.update(chunk));
+        stream.on('end', () => resolve(hash.digest('hex')));
+    });
+}
+
+/**
+ * Checks that a file exists and matches the expected size and SHA-1
+ * @param {string} filePath - Path of the file to check
+ * @param {Object} expected - Expected file properties
+ * @param {string} expected.sha1 - Expected SHA-1, skipped if not provided
+ * @param {number} expected.size - Expected size in bytes, skipped if not provided
+ * @returns {Promise<boolean>} Whether the file is present and valid
+ */
+async function verifyFile(filePath, expected = {}) {
+    try {
+        const stats = await fs.promises.stat(filePath);
+
+        if (!stats.isFile()) {
+            return false;
+        }
+
+        if (typeof expected.size === 'number' && stats.size !== expected.size) {
+            return false;
+        }
+
+        if (expected.sha1) {
+            return (await hashFile(filePath)) === expected.sha1.toLowerCase();
+        }
+
+        return true;
+    } catch (error) {
+        return false;
+    }
+}
+
+async function fetchBuffer(url, timeout) {
+    const controller = new AbortController();
+    const timeoutId = setTimeout(() => controller.abort(), timeout);
+
+    try {
+        const response = await fetch(url, {
+            signal: controller.signal
+        });
+
+        if (!response.ok) {
+            throw new Error(`HTTP Error: ${response.status}`);
+        }
+
+        return Buffer.from(await response.arrayBuffer());
+    } catch (fetchError) {
+        if (fetchError.name === 'AbortError') {
+            throw new Error('Request timed out');
+        }
+        throw fetchError;
+    } finally {
+        clearTimeout(timeoutId);
+    }
+}
+
+/**
+ * Fetches a text document
+ * @param {string} url - URL to fetch
+ * @param {Object} options - Request options
+ * @param {number} options.timeout - Request timeout in milliseconds
+ * @returns {Promise<string>} Response body
+ */
+async function fetchText(url, options = {}) {
+    const data = await fetchBuffer(url, options.timeout || DEFAULT_TIMEOUT);
+    return data.toString('utf8');
+}
+
+/**
+ * Fetches and parses a JSON document, optionally checking its SHA-1
+ * @param {string} url - URL to fetch
+ * @param {Object} options - Request options
+ * @param {string} options.sha1 - Expected SHA-1 of the response body
+ * @param {number} options.timeout - Request timeout in milliseconds
+ * @returns {Promise<Object>} Parsed JSON
+ */
+async function fetchJson(url, options = {}) {
+    const data = await fetchBuffer(url, options.timeout || DEFAULT_TIMEOUT);
+
+    if (options.sha1) {
+        const hash = crypto.createHash('sha1').update(data).digest('hex');
+        if (hash !== options.sha1.toLowerCase()) {
+            throw new Error(`SHA-1 mismatch for ${url}`);
+        }
+    }
+
+    return JSON.parse(data.toString('utf8'));
+}
+
+/**
+ * Downloads a file, verifies it and moves it into place.
+ * Files that are already present and valid are not downloaded again.
+ * @param {string} url - URL to download from
+ * @param {string} filePath - Destination path
+ * @param {Object} options - Download options
+ * @param {string} options.sha1 - Expected SHA-1
+ * @param {number} options.size - Expected size in bytes
+ * @param {number} options.timeout - Request timeout in milliseconds
+ * @param {number} options.retries - Number of attempts before giving up
+ * @returns {Promise<{ path: string, downloaded: boolean }>} Whether the file had to be downloaded
+ */
+async function downloadFile(url, filePath, options = {}) {
+    const expected = { sha1: options.sha1, size: options.size };
+
+    if ((expected.sha1 || typeof expected.size === 'number') && await verifyFile(filePath, expected)) {
+        return { path: filePath, downloaded: false };
+    }
+
+    if (!expected.sha1 && typeof expected.size !== 'number' && !options.force && fs.existsSync(filePath)) {
+        return { path: filePath, downloaded: false };
+    }
+
+    const retries = options.retries || DEFAULT_RETRIES;
+    let lastError = null;
+
+    await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+
+    for (let attempt = 1; attempt <= retries; attempt++) {
+        const tempPath = `${filePath}.${process.pid}.part`;
+
+        try {
+            const data = await fetchBuffer(url, options.timeout || DEFAULT_TIMEOUT);
+
+            if (typeof expected.size === 'number' && data.length !== expected.size) {
+                throw new Error(`Size mismatch for ${url}: expected ${expected.size}, got ${data.length}`);
+            }
+
+            if (expected.sha1) {
+                const hash = crypto.createHash('sha1').update(data).digest('hex');
+                if (hash !== expected.sha1.toLowerCase()) {
+                    throw new Error(`SHA-1 mismatch for ${url}`);
+                }
+            }
+
+            await fs.promises.writeFile(tempPath, data);
+            await fs.promises.rename(tempPath, filePath);
+
+            return { path: filePath, downloaded: true };
+        } catch (error) {
+            lastError = error;
+            await fs.promises.rm(tempPath, { force: true }).catch(() => {});
+        }
+    }
+
+    throw new Error(`Failed to download ${url}: ${lastError.message}`);
+}
+
+/**
+ * Runs an async worker over a list of items with a bounded number of concurrent calls
+ * @param {Array} items - Items to process
+ * @param {number} limit - Maximum number of concurrent workers
+ * @param {Function} worker - Async function called with (item, index)
+ * @returns {Promise<Array>} Results in the order of the items
+ */
+async function runWithConcurrency(items, limit, worker) {
+    const results = new Array(items.length);
+    let nextIndex = 0;
+
+    async function next() {
+        while (nextIndex < items.length) {
+            const index = nextIndex++;
+            results[index] = await worker(items[index], index);
+        }
+    }
+
+    const runners = [];
+    for (let i = 0; i < Math.min(limit, items.length); i++) {
+        runners.push(next());
+    }
+
+    await Promise.all(runners);
+    return results;
+}
+
+module.exports = {
+    hashFile,
+    verifyFile,
+    fetchText,
+    fetchJson,
+    downloadFile,
+    runWithConcurrency
+};
\ No newline at end of file
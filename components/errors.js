@@ -0,0 +1,65 @@
+/**
+ * Code and message of every failure caused by the shutdown of the Mojang authentication servers
+ */
+const MOJANG_AUTH_DISCONTINUED = 'MOJANG_AUTH_DISCONTINUED';
+const MOJANG_DISCONTINUED_MESSAGE = 'Mojang accounts can no longer sign in, the account has to be migrated to a Microsoft account';
+
+/**
+ * Authentication error carrying a machine readable code, so launchers can react
+ * to specific failures instead of parsing messages
+ */
+class AuthError extends Error {
+    constructor(message, code, details = {}) {
+        super(message);
+        this.name = 'AuthError';
+        this.code = code;
+        Object.assign(this, details);
+    }
+}
+
+/**
+ * Error returned by the Xbox Live XSTS service, with the XErr code and the
+ * Redirect URL Xbox supplies for resolving the problem
+ */
+class XboxAuthError extends AuthError {
+    constructor(message, code, details = {}) {
+        super(message, code, details);
+        this.name = 'XboxAuthError';
+    }
+}
+
+/**
+ * Error of the account storage, e.g. a corrupted or undecryptable account file
+ */
+class StorageError extends Error {
+    constructor(message, code, details = {}) {
+        super(message);
+        this.name = 'StorageError';
+        this.code = code;
+        Object.assign(this, details);
+    }
+}
+
+/**
+ * Prefixes the message of an error while keeping typed errors intact
+ * @param {string} prefix - Context of the failed operation
+ * @param {Error} error - Original error
+ * @returns {Error} Error with the prefixed message
+ */
+function withContext(prefix, error) {
+    if (error instanceof AuthError) {
+        error.message = `${prefix}: ${error.message}`;
+        return error;
+    }
+
+    return new Error(`${prefix}: ${error.message}`);
+}
+
+module.exports = {
+    MOJANG_AUTH_DISCONTINUED,
+    MOJANG_DISCONTINUED_MESSAGE,
+    AuthError,
+    XboxAuthError,
+    StorageError,
+    withContext
+};
\ No newline at end of file
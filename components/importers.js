@@ -0,0 +1,414 @@
+const fs = require('fs');
+const path = require('path');
+const os = require('os');
+const crypto = require('crypto');
+const { v4: uuidv4 } = require('uuid');
+const accountManager = require('./accounts');
+const { getDefaultGameDirectory } = require('./installer');
+const { MOJANG_AUTH_DISCONTINUED, MOJANG_DISCONTINUED_MESSAGE } = require('./errors');
+
+const SOURCES = ['launcher_accounts', 'launcher_profiles', 'prism'];
+const PRISM_FORMAT_VERSION = 3;
+
+
+/**
+ * Returns the data directory of Prism Launcher for the current platform
+ * @returns {string} Absolute path of the Prism Launcher directory
+ */
+function getPrismDirectory() {
+    switch (process.platform) {
+        case 'win32':
+            return path.join(process.env.APPDATA || path.join(os.homedir(), 'AppData', 'Roaming'), 'PrismLauncher');
+        case 'darwin':
+            return path.join(os.homedir(), 'Library', 'Application Support', 'PrismLauncher');
+        default:
+            return path.join(process.env.XDG_DATA_HOME || path.join(os.homedir(), '.local', 'share'), 'PrismLauncher');
+    }
+}
+
+/**
+ * Returns where each importable file is found by default
+ * @returns {Object} Paths keyed by source name
+ */
+function getDefaultPaths() {
+    return {
+        launcher_accounts: path.join(getDefaultGameDirectory(), 'launcher_accounts.json'),
+        launcher_profiles: path.join(getDefaultGameDirectory(), 'launcher_profiles.json'),
+        prism: path.join(getPrismDirectory(), 'accounts.json')
+    };
+}
+
+function readJsonFile(filePath) {
+    try {
+        return JSON.parse(fs.readFileSync(filePath, 'utf8'));
+    } catch (error) {
+        throw new Error(`Failed to read ${path.basename(filePath)}: ${error.message}`);
+    }
+}
+
+function normalizeUUID(uuid) {
+    return typeof uuid === 'string' ? uuid.replace(/-/g, '').toLowerCase() : null;
+}
+
+// Prism stores expiry times in seconds
+function fromSeconds(seconds) {
+    return typeof seconds === 'number' && seconds > 0 ? seconds * 1000 : null;
+}
+
+/**
+ * Reads the accounts of the official launcher
+ * @param {string} filePath - Path of launcher_accounts.json, defaults to the one in .minecraft
+ * @returns {{ records: Object[], skipped: Object[] }} addAccount records and entries that cannot be imported
+ */
+function readLauncherAccounts(filePath = getDefaultPaths().launcher_accounts) {
+    const data = readJsonFile(filePath);
+    const records = [];
+    const skipped = [];
+
+    for (const [localId, entry] of Object.entries(data.accounts || {})) {
+        const profile = entry.minecraftProfile;
+
+        if (entry.type !== 'Xbox') {
+            skipped.push({
+                username: (profile && profile.name) || entry.username || localId,
+                code: MOJANG_AUTH_DISCONTINUED,
+                reason: MOJANG_DISCONTINUED_MESSAGE
+            });
+            continue;
+        }
+
+        if (!profile || !profile.id) {
+            skipped.push({
+                username: entry.username || localId,
+                code: 'NO_MINECRAFT_PROFILE',
+                reason: 'The account has no Minecraft profile'
+            });
+            continue;
+        }
+
+        const expiresAt = Date.parse(entry.accessTokenExpiresAt) || null;
+
+        // The refresh token of the official launcher is kept encrypted outside this file
+        records.push({
+            uuid: normalizeUUID(profile.id),
+            username: profile.name,
+            type: 'microsoft',
+            accessToken: entry.accessToken || null,
+            clientToken: data.mojangClientToken || uuidv4(),
+            refreshToken: null,
+            expiresAt,
+            tokens: {
+                minecraft: { expiresAt }
+            },
+            needsReauth: true,
+            active: data.activeAccountLocalId === localId
+        });
+    }
+
+    return { records, skipped };
+}
+
+/**
+ * Reads the authenticationDatabase of launcher_profiles.json, written by launchers before
+ * launcher_accounts.json existed. It only holds Mojang accounts, which are all reported as skipped.
+ * @param {string} filePath - Path of launcher_profiles.json, defaults to the one in .minecraft
+ * @returns {{ records: Object[], skipped: Object[] }} addAccount records and entries that cannot be imported
+ */
+function readLauncherProfiles(filePath = getDefaultPaths().launcher_profiles) {
+    const data = readJsonFile(filePath);
+    const skipped = [];
+
+    for (const [accountId, entry] of Object.entries(data.authenticationDatabase || {})) {
+        // Older versions stored a single profile directly on the entry
+        const profiles = entry.profiles
+            ? Object.values(entry.profiles).map(profile => profile.displayName)
+            : [entry.displayName];
+
+        skipped.push({
+            username: profiles.filter(Boolean).join(', ') || entry.username || accountId,
+            code: MOJANG_AUTH_DISCONTINUED,
+            reason: MOJANG_DISCONTINUED_MESSAGE
+        });
+    }
+
+    return { records: [], skipped };
+}
+
+function fromPrismMicrosoft(entry) {
+    const msa = entry.msa || {};
+    const xsts = entry['xrp-mc'] || {};
+    const minecraft = entry.ygg || {};
+    const expiresAt = fromSeconds(minecraft.exp);
+
+    // Refresh tokens are bound to the client ID they were issued to, tokens of another client are dropped
+    const clientId = entry['msa-client-id'];
+    const foreignClient = Boolean(clientId) && clientId !== process.env.MS_CLIENT_ID;
+    const refreshToken = foreignClient ? null : msa.refresh_token || null;
+
+    return {
+        uuid: normalizeUUID(entry.profile.id),
+        username: entry.profile.name,
+        type: 'microsoft',
+        accessToken: minecraft.token || null,
+        clientToken: uuidv4(),
+        refreshToken,
+        expiresAt,
+        tokens: {
+            // Prism signs in through the consumers endpoint of login.microsoftonline.com
+            msa: refreshToken || msa.token ? {
+                accessToken: msa.token || null,
+                expiresAt: fromSeconds(msa.exp),
+                issuer: 'consumers'
+            } : undefined,
+            xsts: xsts.token ? {
+                token: xsts.token,
+                userHash: xsts.extra && xsts.extra.uhs,
+                expiresAt: fromSeconds(xsts.exp)
+            } : undefined,
+            minecraft: { expiresAt }
+        },
+        needsReauth: !refreshToken,
+        active: Boolean(entry.active)
+    };
+}
+
+/**
+ * Reads the accounts.json of Prism Launcher or MultiMC
+ * @param {string} filePath - Path of accounts.json, defaults to the one of Prism Launcher
+ * @returns {{ records: Object[], skipped: Object[] }} addAccount records and entries that cannot be imported
+ */
+function readPrismAccounts(filePath = getDefaultPaths().prism) {
+    const data = readJsonFile(filePath);
+    const records = [];
+    const skipped = [];
+
+    if (data.formatVersion !== PRISM_FORMAT_VERSION) {
+        throw new Error(`Unsupported accounts.json format version: ${data.formatVersion}`);
+    }
+
+    for (const entry of data.accounts || []) {
+        const profile = entry.profile;
+        const username = (profile && profile.name) || (entry.ygg && entry.ygg.extra && entry.ygg.extra.userName) || 'unknown';
+
+        if (!profile || !profile.id) {
+            skipped.push({
+                username,
+                code: 'NO_MINECRAFT_PROFILE',
+                reason: 'The account has no Minecraft profile'
+            });
+            continue;
+        }
+
+        switch (entry.type) {
+            case 'MSA':
+                records.push(fromPrismMicrosoft(entry));
+                break;
+            case 'Offline':
+                records.push({
+                    uuid: normalizeUUID(profile.id),
+                    username: profile.name,
+                    type: 'offline',
+                    accessToken: crypto.randomBytes(16).toString('hex'),
+                    clientToken: crypto.randomBytes(16).toString('hex'),
+                    active: Boolean(entry.active)
+                });
+                break;
+            case 'Mojang':
+                skipped.push({ username, code: MOJANG_AUTH_DISCONTINUED, reason: MOJANG_DISCONTINUED_MESSAGE });
+                break;
+            default:
+                skipped.push({ username, code: 'UNSUPPORTED_TYPE', reason: `Unsupported account type: ${entry.type}` });
+        }
+    }
+
+    return { records, skipped };
+}
+
+const READERS = {
+    launcher_accounts: readLauncherAccounts,
+    launcher_profiles: readLauncherProfiles,
+    prism: readPrismAccounts
+};
+
+/**
+ * Adds the accounts of another launcher to the account manager. Accounts without a usable
+ * refresh token are added with needsReauth, the active account is kept.
+ * @param {string} source - 'launcher_accounts', 'launcher_profiles' or 'prism' (Prism Launcher and MultiMC)
+ * @param {Object} options - Import options
+ * @param {string} options.filePath - File to read, defaults to the location of the source launcher
+ * @param {boolean} options.overwrite - Replace accounts that already exist (default false)
+ * @param {Object} options.accountManager - Account manager of createAccountManager to import into
+ * @returns {Promise<Object>} Imported and skipped accounts
+ */
+async function importAccounts(source, options = {}) {
+    try {
+        if (!SOURCES.includes(source)) {
+            throw new Error(`Unknown import source: ${source}`);
+        }
+
+        const { records, skipped } = options.filePath
+            ? READERS[source](options.filePath)
+            : READERS[source]();
+
+        const manager = options.accountManager || accountManager;
+        const previous = manager.getActiveAccount();
+        const existing = new Set(manager.getAccounts().map(acc => acc.uuid));
+        const imported = [];
+        let sourceActive = null;
+
+        for (const { active, ...record } of records) {
+            if (existing.has(record.uuid) && !options.overwrite) {
+                skipped.push({ username: record.username, code: 'ALREADY_EXISTS', reason: 'The account already exists' });
+                continue;
+            }
+
+            if (!(await manager.addAccount(record))) {
+                skipped.push({ username: record.username, code: 'SAVE_FAILED', reason: 'The account could not be saved' });
+                continue;
+            }
+
+            imported.push({
+                uuid: record.uuid,
+                username: record.username,
+                type: record.type,
+                needsReauth: Boolean(record.needsReauth)
+            });
+            if (active) {
+                sourceActive = record.uuid;
+            }
+        }
+
+        const activeUUID = previous ? previous.uuid : sourceActive;
+        if (activeUUID) {
+            manager.setActiveAccount(activeUUID);
+        }
+
+        return {
+            success: true,
+            imported,
+            skipped
+        };
+    } catch (error) {
+        return {
+            success: false,
+            error: error.message,
+            imported: [],
+            skipped: []
+        };
+    }
+}
+
+function toPrismAccount(authData, active) {
+    const profile = {
+        id: authData.uuid,
+        name: authData.username,
+        skin: { id: '', url: '', variant: '' },
+        capes: []
+    };
+
+    if (authData.type === 'offline') {
+        return {
+            type: 'Offline',
+            active,
+            profile,
+            ygg: {
+                token: '0',
+                extra: { clientToken: authData.clientToken, userName: authData.username }
+            }
+        };
+    }
+
+    const tokens = authData.tokens || {};
+    const toSeconds = time => time ? Math.floor(time / 1000) : undefined;
+    const entry = {
+        type: 'MSA',
+        active,
+        profile,
+        msa: {
+            token: tokens.msa ? tokens.msa.accessToken : undefined,
+            exp: toSeconds(tokens.msa && tokens.msa.expiresAt),
+            refresh_token: authData.refreshToken || undefined
+        },
+        ygg: {
+            token: authData.accessToken,
+            exp: toSeconds(authData.expiresAt)
+        }
+    };
+
+    if (process.env.MS_CLIENT_ID) {
+        entry['msa-client-id'] = process.env.MS_CLIENT_ID;
+    }
+
+    if (tokens.xsts) {
+        entry['xrp-mc'] = {
+            token: tokens.xsts.token,
+            exp: toSeconds(tokens.xsts.expiresAt),
+            extra: { uhs: tokens.xsts.userHash }
+        };
+    }
+
+    return entry;
+}
+
+/**
+ * Writes the Microsoft and offline accounts to an accounts.json readable by Prism Launcher and
+ * MultiMC, for migrating to another launcher. The file holds tokens in plain text.
+ * @param {string} filePath - Destination file
+ * @param {Object} options - Export options
+ * @param {Object} options.accountManager - Account manager of createAccountManager to export from
+ * @returns {Object} Exported and skipped accounts
+ */
+function exportPrismAccounts(filePath, options = {}) {
+    try {
+        if (!filePath) {
+            throw new Error('Destination file path is required');
+        }
+
+        const manager = options.accountManager || accountManager;
+
+        const exported = [];
+        const skipped = [];
+        const entries = [];
+
+        for (const account of manager.getAccounts()) {
+            const authData = manager.getAuthData(account.uuid);
+
+            if (!authData || (authData.type !== 'microsoft' && authData.type !== 'offline') || authData.demo) {
+                skipped.push({ username: account.username, code: 'UNSUPPORTED_TYPE', reason: `Accounts of type ${account.type} cannot be exported` });
+                continue;
+            }
+
+            entries.push(toPrismAccount(authData, account.active));
+            exported.push({ uuid: account.uuid, username: account.username, type: account.type });
+        }
+
+        fs.mkdirSync(path.dirname(filePath), { recursive: true });
+        fs.writeFileSync(filePath, JSON.stringify({
+            accounts: entries,
+            formatVersion: PRISM_FORMAT_VERSION
+        }, null, 4), { mode: 0o600 });
+
+        return {
+            success: true,
+            filePath,
+            exported,
+            skipped
+        };
+    } catch (error) {
+        return {
+            success: false,
+            error: error.message,
+            exported: [],
+            skipped: []
+        };
+    }
+}
+
+module.exports = {
+    getDefaultPaths,
+    readLauncherAccounts,
+    readLauncherProfiles,
+    readPrismAccounts,
+    importAccounts,
+    exportPrismAccounts
+};
\ No newline at end of file
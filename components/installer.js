@@ -0,0 +1,397 @@
+const fs = require('fs');
+const path = require('path');
+const os = require('os');
+const EventEmitter = require('events');
+const AdmZip = require('adm-zip');
+const getVersionDetails = require('./versionDetails');
+const { isAllowed, getNativeClassifier, getLibraryPath } = require('./rules');
+const { downloadFile, runWithConcurrency } = require('./download');
+const assets = require('./assets');
+
+const DEFAULT_CONCURRENCY = 8;
+const DEFAULT_LIBRARY_REPOSITORY = 'https://libraries.minecraft.net/';
+const REPOSITORY_REDIRECTS = {
+    'http://files.minecraftforge.net/maven/': 'https://maven.minecraftforge.net/'
+};
+
+/**
+ * Emits 'progress' and 'complete' events for every running installation.
+ * Each event payload carries the version ID so several installs can share the emitter.
+ */
+const installEvents = new EventEmitter();
+
+/**
+ * Returns the default .minecraft directory for the current platform
+ * @returns {string} Absolute path of the game directory
+ */
+function getDefaultGameDirectory() {
+    switch (process.platform) {
+        case 'win32':
+            return path.join(process.env.APPDATA || path.join(os.homedir(), 'AppData', 'Roaming'), '.minecraft');
+        case 'darwin':
+            return path.join(os.homedir(), 'Library', 'Application Support', 'minecraft');
+        default:
+            return path.join(os.homedir(), '.minecraft');
+    }
+}
+
+function getVersionDirectory(directory, id) {
+    return path.join(directory, 'versions', id);
+}
+
+function getNativesDirectory(directory, id) {
+    return path.join(getVersionDirectory(directory, id), 'natives');
+}
+
+/**
+ * Lists the library files of a version that apply to the current platform
+ * @param {Object} details - Version JSON
+ * @param {string} directory - Game directory
+ * @returns {Array<Object>} Files with url, path, sha1, size and native extraction info
+ */
+function getLibraryFiles(details, directory) {
+    const files = [];
+
+    for (const library of details.libraries || []) {
+        if (!isAllowed(library.rules) || library.clientreq === false) {
+            continue;
+        }
+
+        if (!library.downloads && library.name) {
+            const repository = library.url || DEFAULT_LIBRARY_REPOSITORY;
+            const base = REPOSITORY_REDIRECTS[repository] || (repository.endsWith('/') ? repository : `${repository}/`);
+            const relativePath = getLibraryPath(library.name);
+
+            files.push({
+                name: library.name,
+                url: base + relativePath,
+                path: path.join(directory, 'libraries', relativePath),
+                sha1: library.sha1,
+                size: library.size,
+                native: false
+            });
+            continue;
+        }
+
+        const artifact = library.downloads && library.downloads.artifact;
+        if (artifact && artifact.url) {
+            files.push({
+                name: library.name,
+                url: artifact.url,
+                path: path.join(directory, 'libraries', artifact.path),
+                sha1: artifact.sha1,
+                size: artifact.size,
+                native: false
+            });
+        }
+
+        const classifier = getNativeClassifier(library);
+        const native = classifier && library.downloads && library.downloads.classifiers
+            ? library.downloads.classifiers[classifier]
+            : null;
+
+        if (native && native.url) {
+            files.push({
+                name: `${library.name}:${classifier}`,
+                url: native.url,
+                path: path.join(directory, 'libraries', native.path),
+                sha1: native.sha1,
+                size: native.size,
+                native: true,
+                exclude: (library.extract && library.extract.exclude) || []
+            });
+        }
+    }
+
+    return files;
+}
+
+function extractNatives(jarPath, nativesDirectory, exclude = []) {
+    const zip = new AdmZip(jarPath);
+
+    for (const entry of zip.getEntries()) {
+        if (entry.isDirectory || exclude.some(prefix => entry.entryName.startsWith(prefix))) {
+            continue;
+        }
+
+        const target = path.join(nativesDirectory, entry.entryName);
+        if (!target.startsWith(nativesDirectory + path.sep)) {
+            continue;
+        }
+
+        fs.mkdirSync(path.dirname(target), { recursive: true });
+        fs.writeFileSync(target, entry.getData());
+    }
+}
+
+function getLibraryKey(library) {
+    const [group, artifact, , classifier] = (library.name || '').split('@')[0].split(':');
+    return [group, artifact, classifier].join(':');
+}
+
+/**
+ * Merges a child version JSON (e.g. a mod loader profile) into the version it inherits from
+ * @param {Object} parent - Version JSON named by the child's inheritsFrom
+ * @param {Object} child - Version JSON declaring inheritsFrom
+ * @returns {Object} Merged version JSON
+ */
+function mergeVersions(parent, child) {
+    const merged = { ...parent, ...child };
+    const childLibraries = child.libraries || [];
+    const childKeys = new Set(childLibraries.map(getLibraryKey));
+
+    merged.libraries = [
+        ...childLibraries,
+        ...(parent.libraries || []).filter(library => !childKeys.has(getLibraryKey(library)))
+    ];
+
+    if (parent.arguments || child.arguments) {
+        merged.arguments = {
+            game: [...((parent.arguments && parent.arguments.game) || []), ...((child.arguments && child.arguments.game) || [])],
+            jvm: [...((parent.arguments && parent.arguments.jvm) || []), ...((child.arguments && child.arguments.jvm) || [])]
+        };
+    }
+
+    merged.jar = child.jar || parent.jar || parent.id;
+    merged.inheritsFrom = child.inheritsFrom;
+
+    return merged;
+}
+
+/**
+ * Loads a version JSON from the versions folder, falling back to the Mojang manifest.
+ * Versions declaring inheritsFrom are merged with their parent version.
+ * @param {string|Object} version - Version ID or version JSON
+ * @param {string} directory - Game directory
+ * @returns {Promise<Object>} Version JSON
+ */
+async function loadInstalledVersion(version, directory) {
+    let details;
+
+    if (typeof version === 'object') {
+        details = version;
+    } else {
+        const localPath = path.join(getVersionDirectory(directory, version), `${version}.json`);
+
+        details = fs.existsSync(localPath)
+            ? JSON.parse(fs.readFileSync(localPath, 'utf8'))
+            : await resolveDetails(version);
+    }
+
+    if (details.inheritsFrom && details.inheritsFrom !== details.id) {
+        const parent = await loadInstalledVersion(details.inheritsFrom, directory);
+        return mergeVersions(parent, details);
+    }
+
+    return details;
+}
+
+/**
+ * Downloads a list of files, emitting a progress event after each one
+ * @param {Array<Object>} files - Files with url, path, sha1, size and name
+ * @param {Object} options - Download options
+ * @param {string} options.version - Version ID reported in progress events
+ * @param {string} options.stage - Stage name reported in progress events
+ * @param {number} options.concurrency - Maximum number of parallel downloads
+ * @returns {Promise<number>} Number of files that had to be downloaded, duplicates counted once
+ */
+async function downloadFiles(files, options = {}) {
+    const uniqueFiles = Array.from(new Map(files.map(file => [file.path, file])).values());
+    let completed = 0;
+    let downloaded = 0;
+
+    await runWithConcurrency(uniqueFiles, options.concurrency || DEFAULT_CONCURRENCY, async file => {
+        const result = await downloadFile(file.url, file.path, {
+            sha1: file.sha1,
+            size: file.size
+        });
+
+        if (result.downloaded) {
+            downloaded++;
+        }
+
+        completed++;
+        installEvents.emit('progress', {
+            version: options.version,
+            stage: options.stage,
+            file: file.name,
+            downloaded: result.downloaded,
+            current: completed,
+            total: uniqueFiles.length
+        });
+    });
+
+    return downloaded;
+}
+
+async function resolveDetails(version) {
+    if (!version) {
+        throw new Error('Version is required');
+    }
+
+    const details = typeof version === 'string'
+        ? await getVersionDetails(version)
+        : version;
+
+    if (details.error) {
+        throw new Error(details.error);
+    }
+
+    return details;
+}
+
+async function runAssetInstall(details, options) {
+    return assets.installAssets(details, {
+        directory: path.resolve(options.directory || getDefaultGameDirectory()),
+        gameDirectory: options.gameDirectory,
+        concurrency: options.concurrency,
+        onProgress: (file, downloaded, current, total) => {
+            installEvents.emit('progress', {
+                version: details.id,
+                stage: 'assets',
+                file,
+                downloaded,
+                current,
+                total
+            });
+        }
+    });
+}
+
+/**
+ * Installs the asset index of a version and the objects it references
+ * @param {Object} options - Options for the installation
+ * @param {string|Object} options.version - Version ID or version JSON returned by getVersionDetails
+ * @param {string} options.directory - Game directory, defaults to the platform .minecraft directory
+ * @param {string} options.gameDirectory - Directory receiving legacy resources, defaults to options.directory
+ * @param {number} options.concurrency - Maximum number of parallel downloads
+ * @returns {Promise<Object>} Result of the installation with downloaded and skipped object counts
+ */
+async function installAssets(options = {}) {
+    try {
+        const details = await resolveDetails(options.version);
+        const result = await runAssetInstall(details, options);
+
+        return {
+            success: true,
+            version: details.id,
+            ...result,
+            timestamp: new Date().toISOString()
+        };
+    } catch (error) {
+        return {
+            success: false,
+            error: error.message
+        };
+    }
+}
+
+/**
+ * Installs the client jar, libraries, natives and assets of a Minecraft version
+ * @param {Object} options - Options for the installation
+ * @param {string|Object} options.version - Version ID or version JSON returned by getVersionDetails
+ * @param {string} options.directory - Game directory, defaults to the platform .minecraft directory
+ * @param {string} options.gameDirectory - Directory receiving legacy resources, defaults to options.directory
+ * @param {boolean} options.assets - Whether to install the assets as well (default true)
+ * @param {number} options.concurrency - Maximum number of parallel downloads
+ * @returns {Promise<Object>} Result of the installation with downloaded and skipped file counts
+ */
+async function installVersion(options = {}) {
+    try {
+        const details = await resolveDetails(options.version);
+
+        const directory = path.resolve(options.directory || getDefaultGameDirectory());
+        const versionDirectory = getVersionDirectory(directory, details.id);
+        const nativesDirectory = getNativesDirectory(directory, details.id);
+
+        fs.mkdirSync(versionDirectory, { recursive: true });
+        fs.writeFileSync(path.join(versionDirectory, `${details.id}.json`), JSON.stringify(details, null, 2));
+
+        const files = [];
+
+        if (details.downloads && details.downloads.client) {
+            files.push({
+                name: `${details.id}.jar`,
+                url: details.downloads.client.url,
+                path: path.join(versionDirectory, `${details.id}.jar`),
+                sha1: details.downloads.client.sha1,
+                size: details.downloads.client.size,
+                native: false
+            });
+        }
+
+        files.push(...getLibraryFiles(details, directory));
+
+        const logging = details.logging && details.logging.client;
+        if (logging && logging.file) {
+            files.push({
+                name: logging.file.id,
+                url: logging.file.url,
+                path: path.join(directory, 'assets', 'log_configs', logging.file.id),
+                sha1: logging.file.sha1,
+                size: logging.file.size,
+                native: false
+            });
+        }
+
+        const downloaded = await downloadFiles(files, {
+            version: details.id,
+            stage: 'files',
+            concurrency: options.concurrency
+        });
+
+        const natives = files.filter(file => file.native);
+
+        if (natives.length > 0) {
+            fs.rmSync(nativesDirectory, { recursive: true, force: true });
+            fs.mkdirSync(nativesDirectory, { recursive: true });
+
+            natives.forEach((file, index) => {
+                extractNatives(file.path, nativesDirectory, file.exclude);
+
+                installEvents.emit('progress', {
+                    version: details.id,
+                    stage: 'natives',
+                    file: file.name,
+                    current: index + 1,
+                    total: natives.length
+                });
+            });
+        }
+
+        const result = {
+            success: true,
+            version: details.id,
+            directory,
+            files: files.length,
+            downloaded,
+            skipped: files.length - downloaded,
+            timestamp: new Date().toISOString()
+        };
+
+        if (options.assets !== false && details.assetIndex) {
+            result.assets = await runAssetInstall(details, { ...options, directory });
+        }
+
+        installEvents.emit('complete', result);
+        return result;
+    } catch (error) {
+        return {
+            success: false,
+            error: error.message
+        };
+    }
+}
+
+module.exports = {
+    installVersion,
+    installAssets,
+    installEvents,
+    getDefaultGameDirectory,
+    getVersionDirectory,
+    getNativesDirectory,
+    getLibraryFiles,
+    downloadFiles,
+    mergeVersions,
+    loadInstalledVersion
+};
\ No newline at end of file
@@ -0,0 +1,454 @@
+const fs = require('fs');
+const path = require('path');
+const os = require('os');
+const { execFile } = require('child_process');
+const { fetchJson, downloadFile, runWithConcurrency } = require('./download');
+const {
+    installEvents,
+    getDefaultGameDirectory,
+    loadInstalledVersion
+} = require('./installer');
+
+const RUNTIME_MANIFEST_URL = 'https://launchermeta.mojang.com/v1/products/java-runtime/2ec0cc96c44e5a76b9c8b7c39df7210883d12871/all.json';
+const DEFAULT_CONCURRENCY = 8;
+const DEFAULT_JAVA_VERSION = { component: 'jre-legacy', majorVersion: 8 };
+
+const LINUX_JAVA_DIRECTORIES = [
+    '/usr/lib/jvm',
+    '/usr/lib64/jvm',
+    '/usr/java',
+    '/usr/local/java',
+    '/opt/java',
+    '/opt/jdk',
+    '/opt'
+];
+
+const VENDORS = [
+    { pattern: /temurin|adoptium/i, name: 'Eclipse Adoptium' },
+    { pattern: /adoptopenjdk/i, name: 'AdoptOpenJDK' },
+    { pattern: /zulu|azul/i, name: 'Azul Zulu' },
+    { pattern: /corretto|amazon/i, name: 'Amazon Corretto' },
+    { pattern: /graalvm/i, name: 'GraalVM' },
+    { pattern: /microsoft/i, name: 'Microsoft' },
+    { pattern: /red ?hat/i, name: 'Red Hat' },
+    { pattern: /bellsoft|liberica/i, name: 'BellSoft Liberica' },
+    { pattern: /mojang/i, name: 'Mojang' },
+    { pattern: /oracle|java\(tm\)/i, name: 'Oracle' }
+];
+
+let cachedRuntimeManifest = null;
+
+function getJavaExecutableName() {
+    return process.platform === 'win32' ? 'java.exe' : 'java';
+}
+
+/**
+ * Returns the platform key used by the Mojang java runtime manifest
+ * @returns {string|null} Platform key (e.g. 'linux', 'mac-os-arm64') or null if unsupported
+ */
+function getRuntimePlatform() {
+    switch (process.platform) {
+        case 'linux':
+            return process.arch === 'x64' ? 'linux' : process.arch === 'ia32' ? 'linux-i386' : null;
+        case 'darwin':
+            return process.arch === 'arm64' ? 'mac-os-arm64' : 'mac-os';
+        case 'win32':
+            return process.arch === 'arm64' ? 'windows-arm64' : process.arch === 'ia32' ? 'windows-x86' : 'windows-x64';
+        default:
+            return null;
+    }
+}
+
+function getRuntimeDirectory(directory, component) {
+    return path.join(directory, 'runtime', component, getRuntimePlatform() || 'unknown', component);
+}
+
+function getRuntimeExecutable(runtimeDirectory) {
+    if (process.platform === 'darwin') {
+        return path.join(runtimeDirectory, 'jre.bundle', 'Contents', 'Home', 'bin', 'java');
+    }
+
+    return path.join(runtimeDirectory, 'bin', getJavaExecutableName());
+}
+
+function parseMajorVersion(version) {
+    const parts = version.split(/[._+-]/).map(part => parseInt(part, 10));
+    return parts[0] === 1 ? parts[1] : parts[0];
+}
+
+/**
+ * Parses the output of `java -XshowSettings:properties -version`
+ * @param {string} output - Combined stderr output of the java command
+ * @returns {Object|null} Version, major version, vendor and arch, or null if unrecognised
+ */
+function parseJavaVersionOutput(output) {
+    const properties = {};
+
+    for (const line of output.split(/\r?\n/)) {
+        const match = line.match(/^\s+([\w.]+) = (.*)$/);
+        if (match) {
+            properties[match[1]] = match[2].trim();
+        }
+    }
+
+    const versionLine = output.match(/(?:java|openjdk) version "([^"]+)"/);
+    const version = properties['java.version'] || (versionLine ? versionLine[1] : null);
+
+    if (!version) {
+        return null;
+    }
+
+    const vendorSource = [
+        properties['java.vendor'],
+        properties['java.vm.vendor'],
+        properties['java.runtime.name'],
+        output
+    ].filter(Boolean).join(' ');
+
+    const knownVendor = VENDORS.find(entry => entry.pattern.test(vendorSource));
+    const arch = properties['os.arch'] || (/64-Bit/i.test(output) ? 'amd64' : 'x86');
+
+    let vendor = properties['java.vendor'] || (/^openjdk/m.test(output) ? 'OpenJDK' : 'Unknown');
+    if (knownVendor) {
+        vendor = knownVendor.name;
+    }
+
+    return {
+        version,
+        majorVersion: parseMajorVersion(version),
+        vendor,
+        arch,
+        is64Bit: /64/.test(arch)
+    };
+}
+
+/**
+ * Runs a Java executable and reports its version, vendor and arch
+ * @param {string} javaPath - Path of the java executable
+ * @returns {Promise<Object|null>} Java installation info or null if it cannot be run
+ */
+function getJavaInfo(javaPath) {
+    return new Promise(resolve => {
+        execFile(javaPath, ['-XshowSettings:properties', '-version'], { timeout: 10000 }, (error, stdout, stderr) => {
+            if (error && !stderr) {
+                resolve(null);
+                return;
+            }
+
+            const info = parseJavaVersionOutput(`${stderr}\n${stdout}`);
+            if (!info) {
+                resolve(null);
+                return;
+            }
+
+            resolve({
+                path: javaPath,
+                home: path.dirname(path.dirname(javaPath)),
+                ...info
+            });
+        });
+    });
+}
+
+function listSubdirectories(directory) {
+    try {
+        return fs.readdirSync(directory, { withFileTypes: true })
+            .filter(entry => entry.isDirectory() || entry.isSymbolicLink())
+            .map(entry => path.join(directory, entry.name));
+    } catch (error) {
+        return [];
+    }
+}
+
+function getCandidatePaths(options) {
+    const executable = getJavaExecutableName();
+    const homes = [];
+
+    if (process.env.JAVA_HOME) {
+        homes.push(process.env.JAVA_HOME);
+    }
+
+    if (process.platform === 'linux') {
+        for (const directory of LINUX_JAVA_DIRECTORIES) {
+            homes.push(...listSubdirectories(directory));
+        }
+
+        homes.push(...listSubdirectories(path.join(os.homedir(), '.sdkman', 'candidates', 'java')));
+        homes.push(...listSubdirectories(path.join(os.homedir(), '.jdks')));
+    }
+
+    const candidates = homes.map(home => path.join(home, 'bin', executable));
+
+    for (const directory of (process.env.PATH || '').split(path.delimiter)) {
+        if (directory) {
+            candidates.push(path.join(directory, executable));
+        }
+    }
+
+    const runtimeRoot = path.join(options.directory, 'runtime');
+    for (const component of listSubdirectories(runtimeRoot)) {
+        const runtimeDirectory = path.join(component, getRuntimePlatform() || 'unknown', path.basename(component));
+        candidates.push(getRuntimeExecutable(runtimeDirectory));
+    }
+
+    return candidates;
+}
+
+/**
+ * Scans JAVA_HOME, PATH, the standard Linux install locations and the Mojang runtimes
+ * of the game directory for Java installations
+ * @param {Object} options - Options for the scan
+ * @param {string} options.directory - Game directory holding Mojang runtimes (default .minecraft)
+ * @returns {Promise<Array<Object>>} Java installations with path, home, version, majorVersion, vendor and arch
+ */
+async function findJavaInstallations(options = {}) {
+    try {
+        const directory = path.resolve(options.directory || getDefaultGameDirectory());
+        const seen = new Set();
+        const executables = [];
+
+        for (const candidate of getCandidatePaths({ directory })) {
+            let realPath;
+            try {
+                realPath = fs.realpathSync(candidate);
+                if (!fs.statSync(realPath).isFile()) {
+                    continue;
+                }
+            } catch (error) {
+                continue;
+            }
+
+            if (!seen.has(realPath)) {
+                seen.add(realPath);
+                executables.push(realPath);
+            }
+        }
+
+        const installations = await runWithConcurrency(executables, 4, getJavaInfo);
+        return installations.filter(Boolean);
+    } catch (error) {
+        console.error("Error finding Java installations:", error.message);
+        return [];
+    }
+}
+
+async function getRuntimeManifest(forceRefresh = false) {
+    if (!cachedRuntimeManifest || forceRefresh) {
+        cachedRuntimeManifest = await fetchJson(RUNTIME_MANIFEST_URL);
+    }
+
+    return cachedRuntimeManifest;
+}
+
+/**
+ * Lists the Mojang java runtime components available for the current platform
+ * @returns {Promise<Array<{ component: string, version: string, released: string }>>} Available runtimes
+ */
+async function getAvailableRuntimes() {
+    try {
+        const platform = getRuntimePlatform();
+        if (!platform) {
+            throw new Error(`No Mojang java runtimes are published for ${process.platform}-${process.arch}`);
+        }
+
+        const manifest = await getRuntimeManifest();
+
+        return Object.entries(manifest[platform] || {})
+            .filter(([, releases]) => releases.length > 0)
+            .map(([component, releases]) => ({
+                component,
+                version: releases[0].version.name,
+                released: releases[0].version.released
+            }));
+    } catch (error) {
+        console.error("Error fetching java runtimes:", error.message);
+        return { error: error.message };
+    }
+}
+
+/**
+ * Downloads and verifies a Mojang java runtime component
+ * @param {Object} options - Options for the installation
+ * @param {string} options.component - Runtime component (e.g. 'java-runtime-gamma', 'jre-legacy')
+ * @param {string} options.directory - Game directory, runtimes go to <directory>/runtime
+ * @param {number} options.concurrency - Maximum number of parallel downloads
+ * @returns {Promise<Object>} Result with the java executable path
+ */
+async function installJavaRuntime(options = {}) {
+    try {
+        if (!options.component) {
+            throw new Error('Runtime component is required');
+        }
+
+        const platform = getRuntimePlatform();
+        if (!platform) {
+            throw new Error(`No Mojang java runtimes are published for ${process.platform}-${process.arch}`);
+        }
+
+        const manifest = await getRuntimeManifest();
+        const releases = manifest[platform] && manifest[platform][options.component];
+
+        if (!releases || releases.length === 0) {
+            throw new Error(`Runtime "${options.component}" is not available for ${platform}`);
+        }
+
+        const release = releases[0];
+        const directory = path.resolve(options.directory || getDefaultGameDirectory());
+        const runtimeDirectory = getRuntimeDirectory(directory, options.component);
+        const fileManifest = await fetchJson(release.manifest.url, { sha1: release.manifest.sha1 });
+
+        const entries = Object.entries(fileManifest.files || {});
+        const files = [];
+
+        for (const [name, entry] of entries) {
+            const target = path.join(runtimeDirectory, name);
+
+            if (!target.startsWith(runtimeDirectory + path.sep)) {
+                continue;
+            }
+
+            if (entry.type === 'directory') {
+                fs.mkdirSync(target, { recursive: true });
+            } else if (entry.type === 'file' && entry.downloads && entry.downloads.raw) {
+                files.push({ name, target, entry });
+            }
+        }
+
+        let completed = 0;
+        let downloaded = 0;
+
+        await runWithConcurrency(files, options.concurrency || DEFAULT_CONCURRENCY, async ({ name, target, entry }) => {
+            const raw = entry.downloads.raw;
+            const result = await downloadFile(raw.url, target, {
+                sha1: raw.sha1,
+                size: raw.size
+            });
+
+            if (entry.executable && process.platform !== 'win32') {
+                fs.chmodSync(target, 0o755);
+            }
+
+            if (result.downloaded) {
+                downloaded++;
+            }
+
+            completed++;
+            installEvents.emit('progress', {
+                version: options.component,
+                stage: 'java',
+                file: name,
+                downloaded: result.downloaded,
+                current: completed,
+                total: files.length
+            });
+        });
+
+        if (process.platform !== 'win32') {
+            for (const [name, entry] of entries) {
+                if (entry.type !== 'link') {
+                    continue;
+                }
+
+                const target = path.join(runtimeDirectory, name);
+                fs.mkdirSync(path.dirname(target), { recursive: true });
+                fs.rmSync(target, { force: true });
+                fs.symlinkSync(entry.target, target);
+            }
+        }
+
+        fs.writeFileSync(path.join(path.dirname(runtimeDirectory), '.version'), release.version.name);
+
+        return {
+            success: true,
+            component: options.component,
+            version: release.version.name,
+            home: runtimeDirectory,
+            javaPath: getRuntimeExecutable(runtimeDirectory),
+            files: files.length,
+            downloaded,
+            skipped: files.length - downloaded,
+            timestamp: new Date().toISOString()
+        };
+    } catch (error) {
+        return {
+            success: false,
+            error: error.message
+        };
+    }
+}
+
+/**
+ * Finds or installs a Java runtime matching the javaVersion of a Minecraft version.
+ * An installed Mojang runtime is preferred, then a system JVM of the same major version,
+ * and finally the Mojang runtime is downloaded.
+ * @param {string|Object} version - Version ID or version JSON
+ * @param {Object} options - Options for the lookup
+ * @param {string} options.directory - Game directory (default .minecraft)
+ * @param {boolean} options.download - Whether to download the Mojang runtime if nothing matches (default true)
+ * @returns {Promise<Object>} Result with the java executable path and where it came from
+ */
+async function getJavaForVersion(version, options = {}) {
+    try {
+        const directory = path.resolve(options.directory || getDefaultGameDirectory());
+        const details = await loadInstalledVersion(version, directory);
+        const javaVersion = details.javaVersion || DEFAULT_JAVA_VERSION;
+
+        const runtimeExecutable = getRuntimeExecutable(getRuntimeDirectory(directory, javaVersion.component));
+        if (fs.existsSync(runtimeExecutable)) {
+            return {
+                success: true,
+                javaPath: runtimeExecutable,
+                majorVersion: javaVersion.majorVersion,
+                source: 'runtime'
+            };
+        }
+
+        const installations = await findJavaInstallations({ directory });
+        const match = installations
+            .filter(java => java.majorVersion === javaVersion.majorVersion)
+            .sort((a, b) => Number(b.is64Bit) - Number(a.is64Bit))[0];
+
+        if (match) {
+            return {
+                success: true,
+                javaPath: match.path,
+                majorVersion: match.majorVersion,
+                source: 'system'
+            };
+        }
+
+        if (options.download === false) {
+            throw new Error(`No Java ${javaVersion.majorVersion} installation found`);
+        }
+
+        const installed = await installJavaRuntime({
+            component: javaVersion.component,
+            directory
+        });
+
+        if (!installed.success) {
+            throw new Error(installed.error);
+        }
+
+        return {
+            success: true,
+            javaPath: installed.javaPath,
+            majorVersion: javaVersion.majorVersion,
+            source: 'runtime'
+        };
+    } catch (error) {
+        return {
+            success: false,
+            error: error.message
+        };
+    }
+}
+
+module.exports = {
+    findJavaInstallations,
+    getJavaInfo,
+    getAvailableRuntimes,
+    installJavaRuntime,
+    getJavaForVersion,
+    parseJavaVersionOutput
+};
\ No newline at end of file
@@ -0,0 +1,301 @@
+const fs = require('fs');
+const path = require('path');
+const { spawn } = require('child_process');
+const accountManager = require('./accounts');
+const authService = require('./auth');
+const { isAllowed, getLibraryPath } = require('./rules');
+const {
+    getDefaultGameDirectory,
+    getVersionDirectory,
+    getNativesDirectory,
+    loadInstalledVersion
+} = require('./installer');
+
+const LAUNCHER_NAME = 'dilial-api';
+const LAUNCHER_VERSION = require('../package.json').version;
+
+const USER_TYPES = {
+    microsoft: 'msa',
+    mojang: 'mojang',
+    yggdrasil: 'mojang'
+};
+
+function parseMemory(value) {
+    if (typeof value === 'number') {
+        return `${value}M`;
+    }
+
+    if (typeof value === 'string' && /^\d+[KkMmGg]?$/.test(value)) {
+        return value.toUpperCase();
+    }
+
+    throw new Error(`Invalid memory value: ${value}`);
+}
+
+function getMemoryArguments(memory) {
+    if (!memory) {
+        return [];
+    }
+
+    const settings = typeof memory === 'object' ? memory : { max: memory };
+    const args = [];
+
+    if (settings.min) {
+        args.push(`-Xms${parseMemory(settings.min)}`);
+    }
+
+    if (settings.max) {
+        args.push(`-Xmx${parseMemory(settings.max)}`);
+    }
+
+    return args;
+}
+
+function getClasspath(details, directory) {
+    const entries = [];
+
+    for (const library of details.libraries || []) {
+        const artifact = library.downloads && library.downloads.artifact;
+
+        if (!isAllowed(library.rules) || (library.downloads && !artifact)) {
+            continue;
+        }
+
+        const relativePath = artifact && artifact.path ? artifact.path : getLibraryPath(library.name);
+        const libraryPath = path.join(directory, 'libraries', relativePath);
+
+        if (!entries.includes(libraryPath)) {
+            entries.push(libraryPath);
+        }
+    }
+
+    const jarId = details.jar || details.id;
+    entries.push(path.join(getVersionDirectory(directory, jarId), `${jarId}.jar`));
+
+    return entries;
+}
+
+function resolveArguments(args, features) {
+    const resolved = [];
+
+    for (const arg of args || []) {
+        if (typeof arg === 'string') {
+            resolved.push(arg);
+        } else if (arg && isAllowed(arg.rules, features)) {
+            resolved.push(...(Array.isArray(arg.value) ? arg.value : [arg.value]));
+        }
+    }
+
+    return resolved;
+}
+
+function substitute(args, values) {
+    return args.map(arg => arg.replace(/\$\{(\w+)\}/g, (match, key) => (
+        values[key] !== undefined && values[key] !== null ? String(values[key]) : match
+    )));
+}
+
+function getAuthValues(authData) {
+    return {
+        auth_player_name: authData.username,
+        auth_uuid: authData.uuid.replace(/-/g, ''),
+        auth_access_token: authData.accessToken,
+        auth_session: `token:${authData.accessToken}:${authData.uuid.replace(/-/g, '')}`,
+        auth_xuid: authData.xuid || '0',
+        clientid: authData.clientToken || '',
+        user_type: USER_TYPES[authData.type] || 'legacy',
+        user_properties: '{}'
+    };
+}
+
+function getAuthlibInjectorArguments(agentPath, authData) {
+    if (!agentPath || !authData.authServer) {
+        return [];
+    }
+
+    if (!fs.existsSync(agentPath)) {
+        throw new Error(`authlib-injector not found: ${agentPath}`);
+    }
+
+    return [`-javaagent:${path.resolve(agentPath)}=${authData.authServer}`];
+}
+
+async function resolveAccount(account, manager = accountManager) {
+    if (account && typeof account === 'object') {
+        return account;
+    }
+
+    const authData = account ? manager.getAuthData(account) : manager.getAuthData();
+
+    if (!authData) {
+        throw new Error('No authenticated account found');
+    }
+
+    if (authData.type === 'microsoft' || authData.type === 'yggdrasil') {
+        const isValid = await authService.createAuthService(manager).validateToken(authData.uuid);
+        if (!isValid) {
+            throw new Error('Authentication token is invalid');
+        }
+
+        return manager.getAuthData(authData.uuid);
+    }
+
+    return authData;
+}
+
+/**
+ * Builds the Java command line for a version without starting it
+ * @param {Object} options - Launch options, see launch()
+ * @returns {Promise<{ javaPath: string, args: string[], cwd: string }>} Executable, arguments and working directory
+ */
+async function buildLaunchArguments(options = {}) {
+    if (!options.version) {
+        throw new Error('Version is required');
+    }
+
+    const directory = path.resolve(options.directory || getDefaultGameDirectory());
+    const gameDir = path.resolve(options.gameDir || directory);
+    const details = await loadInstalledVersion(options.version, directory);
+    const authData = await resolveAccount(options.account, options.accountManager);
+
+    const features = {
+        is_demo_user: options.demo === undefined ? Boolean(authData.demo) : Boolean(options.demo),
+        has_custom_resolution: Boolean(options.resolution),
+        ...(options.features || {})
+    };
+
+    const assetsRoot = path.join(directory, 'assets');
+    const assetIndex = details.assetIndex ? details.assetIndex.id : details.assets;
+    const nativesDirectory = getNativesDirectory(directory, details.inheritsFrom || details.id);
+    const classpath = getClasspath(details, directory);
+
+    let gameAssets = assetsRoot;
+    if (assetIndex === 'legacy' || assetIndex === 'pre-1.6') {
+        gameAssets = assetIndex === 'pre-1.6'
+            ? path.join(gameDir, 'resources')
+            : path.join(assetsRoot, 'virtual', assetIndex);
+    }
+
+    const values = {
+        ...getAuthValues(authData),
+        version_name: details.id,
+        version_type: options.versionType || details.type,
+        game_directory: gameDir,
+        assets_root: assetsRoot,
+        game_assets: gameAssets,
+        assets_index_name: assetIndex,
+        natives_directory: nativesDirectory,
+        library_directory: path.join(directory, 'libraries'),
+        classpath: classpath.join(path.delimiter),
+        classpath_separator: path.delimiter,
+        launcher_name: options.launcherName || LAUNCHER_NAME,
+        launcher_version: options.launcherVersion || LAUNCHER_VERSION,
+        resolution_width: options.resolution ? options.resolution.width : null,
+        resolution_height: options.resolution ? options.resolution.height : null
+    };
+
+    let jvmArgs;
+    let gameArgs;
+
+    if (details.arguments) {
+        jvmArgs = resolveArguments(details.arguments.jvm, features);
+        gameArgs = resolveArguments(details.arguments.game, features);
+    } else {
+        jvmArgs = [
+            '-Djava.library.path=${natives_directory}',
+            '-Dminecraft.launcher.brand=${launcher_name}',
+            '-Dminecraft.launcher.version=${launcher_version}',
+            '-cp',
+            '${classpath}'
+        ];
+        gameArgs = (details.minecraftArguments || '').split(' ').filter(Boolean);
+
+        if (features.is_demo_user) {
+            gameArgs.push('--demo');
+        }
+
+        if (features.has_custom_resolution) {
+            gameArgs.push('--width', '${resolution_width}', '--height', '${resolution_height}');
+        }
+    }
+
+    const logging = details.logging && details.logging.client;
+    const logConfig = logging && logging.file
+        ? path.join(assetsRoot, 'log_configs', logging.file.id)
+        : null;
+
+    if (logConfig && fs.existsSync(logConfig)) {
+        jvmArgs.push(logging.argument.replace('${path}', logConfig));
+    }
+
+    const args = [
+        ...getMemoryArguments(options.memory),
+        ...getAuthlibInjectorArguments(options.authlibInjector, authData),
+        ...substitute(jvmArgs, values),
+        ...((authData.settings && authData.settings.jvmArgs) || []),
+        ...(options.jvmArgs || []),
+        details.mainClass,
+        ...substitute(gameArgs, values),
+        ...(options.gameArgs || [])
+    ];
+
+    return {
+        javaPath: options.javaPath || 'java',
+        args,
+        cwd: gameDir
+    };
+}
+
+/**
+ * Starts Minecraft with the credentials of a stored account
+ * @param {Object} options - Launch options
+ * @param {string|Object} options.version - Installed version ID or version JSON
+ * @param {string|Object} options.account - Account UUID or auth data, uses active account if not specified
+ * @param {Object} options.accountManager - Account manager of createAccountManager holding the account
+ * @param {string} options.directory - Directory holding versions, libraries and assets (default .minecraft)
+ * @param {string} options.gameDir - Working directory of the game, defaults to options.directory
+ * @param {number|string|Object} options.memory - Maximum heap or { min, max } in MB or with a K/M/G suffix
+ * @param {string} options.javaPath - Path of the Java executable (default 'java')
+ * @param {Object} options.resolution - Custom window size { width, height }
+ * @param {boolean} options.demo - Start the game in demo mode, defaults to the demo flag of the account
+ * @param {Object} options.features - Additional feature flags for argument rules
+ * @param {string} options.authlibInjector - Path of the authlib-injector jar, used for accounts with an authServer
+ * @param {string[]} options.jvmArgs - Extra JVM arguments, added after the JVM arguments saved in the account settings
+ * @param {string[]} options.gameArgs - Extra game arguments
+ * @returns {Promise<Object>} Handle with the child process, its stdout/stderr streams and an exited promise
+ */
+async function launch(options = {}) {
+    try {
+        const { javaPath, args, cwd } = await buildLaunchArguments(options);
+
+        fs.mkdirSync(cwd, { recursive: true });
+
+        const child = spawn(javaPath, args, {
+            cwd,
+            env: options.env || process.env,
+            detached: Boolean(options.detached)
+        });
+
+        const exited = new Promise((resolve, reject) => {
+            child.once('error', reject);
+            child.once('exit', (code, signal) => resolve({ code, signal }));
+        });
+        exited.catch(() => {});
+
+        return {
+            process: child,
+            pid: child.pid,
+            stdout: child.stdout,
+            stderr: child.stderr,
+            exited,
+            kill: signal => child.kill(signal)
+        };
+    } catch (error) {
+        throw new Error(`Launch failed: ${error.message}`);
+    }
+}
+
+module.exports = {
+    launch,
+    buildLaunchArguments
+};
\ No newline at end of file
@@ -0,0 +1,504 @@
+const fs = require('fs');
+const path = require('path');
+const os = require('os');
+const { spawn } = require('child_process');
+const AdmZip = require('adm-zip');
+const { getLibraryPath } = require('./rules');
+const { fetchText, fetchJson, downloadFile, verifyFile } = require('./download');
+const {
+    installVersion,
+    installEvents,
+    getDefaultGameDirectory,
+    getVersionDirectory,
+    getLibraryFiles,
+    downloadFiles
+} = require('./installer');
+const { getJavaForVersion } = require('./java');
+
+const LOADERS = {
+    fabric: {
+        type: 'profile',
+        meta: 'https://meta.fabricmc.net/v2'
+    },
+    quilt: {
+        type: 'profile',
+        meta: 'https://meta.quiltmc.org/v3'
+    },
+    forge: {
+        type: 'installer',
+        maven: 'https://maven.minecraftforge.net/',
+        group: 'net.minecraftforge',
+        artifact: 'forge'
+    },
+    neoforge: {
+        type: 'installer',
+        maven: 'https://maven.neoforged.net/releases/',
+        group: 'net.neoforged',
+        artifact: 'neoforge'
+    }
+};
+
+function getLoader(name) {
+    const loader = LOADERS[(name || '').toLowerCase()];
+
+    if (!loader) {
+        throw new Error(`Invalid loader. Must be one of: ${Object.keys(LOADERS).join(', ')}`);
+    }
+
+    return loader;
+}
+
+function isStable(version) {
+    return !/alpha|beta|rc|pre/i.test(version);
+}
+
+/**
+ * Returns the NeoForge version prefix of a game version
+ * @param {string} gameVersion - Minecraft version ID (e.g. '1.20.4')
+ * @returns {string} Version prefix (e.g. '20.4.')
+ */
+function getNeoForgePrefix(gameVersion) {
+    const [, minor, patch = '0'] = gameVersion.split('.');
+    return `${minor}.${patch}.`;
+}
+
+async function getMavenVersions(loader) {
+    const metadataPath = `${loader.group.replace(/\./g, '/')}/${loader.artifact}/maven-metadata.xml`;
+    const metadata = await fetchText(loader.maven + metadataPath);
+
+    return Array.from(metadata.matchAll(/<version>([^<]+)<\/version>/g), match => match[1]).reverse();
+}
+
+/**
+ * Lists the loader versions available for a Minecraft version
+ * @param {string} loaderName - 'fabric', 'quilt', 'forge' or 'neoforge'
+ * @param {string} gameVersion - Minecraft version ID (e.g. '1.20.4')
+ * @returns {Promise<Array<{ version: string, stable: boolean }>>} Loader versions, newest first
+ */
+async function getLoaderVersions(loaderName, gameVersion) {
+    try {
+        const loader = getLoader(loaderName);
+
+        if (!gameVersion) {
+            throw new Error('Game version is required');
+        }
+
+        if (loader.type === 'profile') {
+            const versions = await fetchJson(`${loader.meta}/versions/loader/${encodeURIComponent(gameVersion)}`);
+
+            return versions.map(entry => ({
+                version: entry.loader.version,
+                stable: typeof entry.loader.stable === 'boolean' ? entry.loader.stable : isStable(entry.loader.version)
+            }));
+        }
+
+        const versions = await getMavenVersions(loader);
+
+        if (loaderName.toLowerCase() === 'forge') {
+            const prefix = `${gameVersion}-`;
+
+            return versions
+                .filter(version => version.startsWith(prefix))
+                .map(version => ({
+                    version: version.substring(prefix.length),
+                    stable: isStable(version)
+                }));
+        }
+
+        const prefix = getNeoForgePrefix(gameVersion);
+
+        return versions
+            .filter(version => version.startsWith(prefix))
+            .map(version => ({
+                version,
+                stable: isStable(version)
+            }));
+    } catch (error) {
+        console.error("Error fetching loader versions:", error.message);
+        return { error: error.message };
+    }
+}
+
+function writeVersionJson(directory, versionJson) {
+    const versionDirectory = getVersionDirectory(directory, versionJson.id);
+
+    fs.mkdirSync(versionDirectory, { recursive: true });
+    fs.writeFileSync(path.join(versionDirectory, `${versionJson.id}.json`), JSON.stringify(versionJson, null, 2));
+}
+
+function readZipJson(zip, entryName) {
+    const entry = zip.getEntry(entryName.replace(/^\//, ''));
+
+    if (!entry) {
+        throw new Error(`Installer is missing ${entryName}`);
+    }
+
+    return JSON.parse(entry.getData().toString('utf8'));
+}
+
+function getLibraryFilePath(directory, name) {
+    return path.join(directory, 'libraries', getLibraryPath(name));
+}
+
+async function installProfileLoader(loader, gameVersion, loaderVersion, directory, options) {
+    const profile = await fetchJson(
+        `${loader.meta}/versions/loader/${encodeURIComponent(gameVersion)}/${encodeURIComponent(loaderVersion)}/profile/json`
+    );
+
+    writeVersionJson(directory, profile);
+
+    const files = getLibraryFiles(profile, directory);
+    const downloaded = await downloadFiles(files, {
+        version: profile.id,
+        stage: 'libraries',
+        concurrency: options.concurrency
+    });
+
+    return {
+        version: profile.id,
+        libraries: files.length,
+        downloaded,
+        processors: 0
+    };
+}
+
+/**
+ * Copies libraries shipped inside the installer (maven/ folder) into the libraries directory
+ * @param {AdmZip} zip - Opened installer jar
+ * @param {Array<Object>} libraries - Libraries from install_profile.json and version.json
+ * @param {string} directory - Game directory
+ */
+async function extractBundledLibraries(zip, libraries, directory) {
+    for (const library of libraries) {
+        const artifact = library.downloads && library.downloads.artifact;
+        const relativePath = artifact && artifact.path ? artifact.path : getLibraryPath(library.name);
+        const entry = zip.getEntry(`maven/${relativePath}`);
+
+        if (!entry || (artifact && artifact.url)) {
+            continue;
+        }
+
+        const target = path.join(directory, 'libraries', relativePath);
+        if (await verifyFile(target, artifact ? { sha1: artifact.sha1, size: artifact.size } : { size: entry.header.size })) {
+            continue;
+        }
+
+        fs.mkdirSync(path.dirname(target), { recursive: true });
+        fs.writeFileSync(target, entry.getData());
+    }
+}
+
+function getMainClass(jarPath) {
+    const manifest = new AdmZip(jarPath).readAsText('META-INF/MANIFEST.MF');
+    const match = manifest.match(/^Main-Class:\s*(.+)$/m);
+
+    if (!match) {
+        throw new Error(`No Main-Class in ${path.basename(jarPath)}`);
+    }
+
+    return match[1].trim();
+}
+
+function runJava(javaPath, args, cwd) {
+    return new Promise((resolve, reject) => {
+        const child = spawn(javaPath, args, { cwd });
+        let output = '';
+
+        const collect = data => {
+            output = (output + data.toString()).slice(-4000);
+        };
+
+        child.stdout.on('data', collect);
+        child.stderr.on('data', collect);
+        child.once('error', reject);
+        child.once('exit', code => {
+            if (code === 0) {
+                resolve();
+            } else {
+                reject(new Error(`Processor exited with code ${code}: ${output.trim().split('\n').slice(-5).join('\n')}`));
+            }
+        });
+    });
+}
+
+function resolveDataValue(value, zip, tempDirectory, directory) {
+    if (/^\[.+\]$/.test(value)) {
+        return getLibraryFilePath(directory, value.slice(1, -1));
+    }
+
+    if (/^'.*'$/.test(value)) {
+        return value.slice(1, -1);
+    }
+
+    if (value.startsWith('/')) {
+        const entry = zip.getEntry(value.substring(1));
+        if (!entry) {
+            throw new Error(`Installer is missing ${value}`);
+        }
+
+        const target = path.join(tempDirectory, value.substring(1));
+        fs.mkdirSync(path.dirname(target), { recursive: true });
+        fs.writeFileSync(target, entry.getData());
+        return target;
+    }
+
+    return value;
+}
+
+function resolveProcessorArgument(arg, data, directory) {
+    if (/^\[.+\]$/.test(arg)) {
+        return getLibraryFilePath(directory, arg.slice(1, -1));
+    }
+
+    return arg.replace(/\{(\w+)\}/g, (match, key) => (data[key] !== undefined ? data[key] : match));
+}
+
+async function runProcessors(zip, profile, context) {
+    const processors = (profile.processors || []).filter(processor => !processor.sides || processor.sides.includes('client'));
+
+    if (processors.length === 0) {
+        return 0;
+    }
+
+    const { directory, gameVersion, installerPath, versionId } = context;
+    let javaPath = context.javaPath;
+
+    if (!javaPath) {
+        const java = await getJavaForVersion(gameVersion, { directory });
+        if (!java.success) {
+            throw new Error(`No Java runtime available for processors: ${java.error}`);
+        }
+        javaPath = java.javaPath;
+    }
+
+    const tempDirectory = fs.mkdtempSync(path.join(os.tmpdir(), 'dilial-installer-'));
+
+    try {
+        const data = {
+            SIDE: 'client',
+            MINECRAFT_JAR: path.join(getVersionDirectory(directory, gameVersion), `${gameVersion}.jar`),
+            MINECRAFT_VERSION: gameVersion,
+            ROOT: directory,
+            INSTALLER: installerPath,
+            LIBRARY_DIR: path.join(directory, 'libraries')
+        };
+
+        for (const [key, value] of Object.entries(profile.data || {})) {
+            if (value && typeof value.client === 'string') {
+                data[key] = resolveDataValue(value.client, zip, tempDirectory, directory);
+            }
+        }
+
+        for (let index = 0; index < processors.length; index++) {
+            const processor = processors[index];
+            const outputs = Object.entries(processor.outputs || {}).map(([file, sha1]) => ({
+                path: resolveProcessorArgument(file, data, directory),
+                sha1: resolveProcessorArgument(sha1, data, directory).replace(/^'|'$/g, '')
+            }));
+
+            let upToDate = outputs.length > 0;
+            for (const output of outputs) {
+                if (!(await verifyFile(output.path, { sha1: output.sha1 }))) {
+                    upToDate = false;
+                    break;
+                }
+            }
+
+            if (!upToDate) {
+                const classpath = [processor.jar, ...(processor.classpath || [])]
+                    .map(name => getLibraryFilePath(directory, name))
+                    .join(path.delimiter);
+                const mainClass = getMainClass(getLibraryFilePath(directory, processor.jar));
+                const args = (processor.args || []).map(arg => resolveProcessorArgument(arg, data, directory));
+
+                await runJava(javaPath, ['-cp', classpath, mainClass, ...args], directory);
+
+                for (const output of outputs) {
+                    if (!(await verifyFile(output.path, { sha1: output.sha1 }))) {
+                        throw new Error(`Processor output ${path.basename(output.path)} failed verification`);
+                    }
+                }
+            }
+
+            installEvents.emit('progress', {
+                version: versionId,
+                stage: 'processors',
+                file: processor.jar,
+                current: index + 1,
+                total: processors.length
+            });
+        }
+
+        return processors.length;
+    } finally {
+        fs.rmSync(tempDirectory, { recursive: true, force: true });
+    }
+}
+
+async function installInstallerLoader(loader, loaderName, gameVersion, loaderVersion, directory, options) {
+    const mavenVersion = loaderName === 'forge' ? `${gameVersion}-${loaderVersion}` : loaderVersion;
+    const installerName = `${loader.group}:${loader.artifact}:${mavenVersion}:installer`;
+    const installerUrl = loader.maven + getLibraryPath(installerName);
+    const installerPath = getLibraryFilePath(directory, installerName);
+
+    let sha1 = null;
+    try {
+        sha1 = (await fetchText(`${installerUrl}.sha1`)).trim().substring(0, 40);
+    } catch (error) {
+        // Checksum files are optional on Maven repositories
+    }
+
+    await downloadFile(installerUrl, installerPath, { sha1 });
+
+    const zip = new AdmZip(installerPath);
+    const profile = readZipJson(zip, 'install_profile.json');
+
+    if (profile.install && profile.versionInfo) {
+        const versionJson = {
+            ...profile.versionInfo,
+            inheritsFrom: profile.versionInfo.inheritsFrom || gameVersion,
+            jar: profile.versionInfo.jar || gameVersion
+        };
+
+        const universal = zip.getEntry(profile.install.filePath);
+        const universalPath = getLibraryFilePath(directory, profile.install.path);
+
+        if (universal && !fs.existsSync(universalPath)) {
+            fs.mkdirSync(path.dirname(universalPath), { recursive: true });
+            fs.writeFileSync(universalPath, universal.getData());
+        }
+
+        writeVersionJson(directory, versionJson);
+
+        const files = getLibraryFiles(versionJson, directory).filter(file => file.path !== universalPath);
+        const downloaded = await downloadFiles(files, {
+            version: versionJson.id,
+            stage: 'libraries',
+            concurrency: options.concurrency
+        });
+
+        return {
+            version: versionJson.id,
+            libraries: files.length,
+            downloaded,
+            processors: 0
+        };
+    }
+
+    const versionJson = readZipJson(zip, profile.json || 'version.json');
+    if (!versionJson.inheritsFrom) {
+        versionJson.inheritsFrom = gameVersion;
+    }
+
+    const libraries = [...(profile.libraries || []), ...(versionJson.libraries || [])];
+
+    writeVersionJson(directory, versionJson);
+    await extractBundledLibraries(zip, libraries, directory);
+
+    const files = getLibraryFiles({ libraries }, directory);
+    const downloaded = await downloadFiles(files, {
+        version: versionJson.id,
+        stage: 'libraries',
+        concurrency: options.concurrency
+    });
+
+    const processors = await runProcessors(zip, profile, {
+        directory,
+        gameVersion,
+        installerPath,
+        versionId: versionJson.id,
+        javaPath: options.javaPath
+    });
+
+    return {
+        version: versionJson.id,
+        libraries: files.length,
+        downloaded,
+        processors
+    };
+}
+
+/**
+ * Installs a mod loader on top of a vanilla version.
+ * The vanilla version is installed first, then a version JSON inheriting from it is written
+ * and the loader libraries are downloaded and verified. Forge and NeoForge installer processors
+ * are run headlessly with a Java runtime matching the game version.
+ * @param {Object} options - Options for the installation
+ * @param {string} options.loader - 'fabric', 'quilt', 'forge' or 'neoforge'
+ * @param {string} options.gameVersion - Minecraft version ID (e.g. '1.20.4')
+ * @param {string} options.loaderVersion - Loader version, defaults to the newest stable one
+ * @param {string} options.directory - Game directory, defaults to the platform .minecraft directory
+ * @param {string} options.javaPath - Java executable used for installer processors
+ * @param {boolean} options.assets - Whether to install the vanilla assets as well (default true)
+ * @param {number} options.concurrency - Maximum number of parallel downloads
+ * @returns {Promise<Object>} Result with the ID of the installed version
+ */
+async function installLoader(options = {}) {
+    try {
+        const loader = getLoader(options.loader);
+        const loaderName = options.loader.toLowerCase();
+
+        if (!options.gameVersion) {
+            throw new Error('Game version is required');
+        }
+
+        let loaderVersion = options.loaderVersion;
+
+        if (!loaderVersion) {
+            const versions = await getLoaderVersions(loaderName, options.gameVersion);
+            if (versions.error) {
+                throw new Error(versions.error);
+            }
+
+            const latest = versions.find(version => version.stable) || versions[0];
+            if (!latest) {
+                throw new Error(`No ${loaderName} versions available for ${options.gameVersion}`);
+            }
+            loaderVersion = latest.version;
+        }
+
+        const directory = path.resolve(options.directory || getDefaultGameDirectory());
+
+        const vanilla = await installVersion({
+            version: options.gameVersion,
+            directory,
+            assets: options.assets,
+            concurrency: options.concurrency
+        });
+
+        if (!vanilla.success) {
+            throw new Error(vanilla.error);
+        }
+
+        const installed = loader.type === 'profile'
+            ? await installProfileLoader(loader, options.gameVersion, loaderVersion, directory, options)
+            : await installInstallerLoader(loader, loaderName, options.gameVersion, loaderVersion, directory, options);
+
+        const result = {
+            success: true,
+            loader: loaderName,
+            gameVersion: options.gameVersion,
+            loaderVersion,
+            version: installed.version,
+            directory,
+            libraries: installed.libraries,
+            downloaded: installed.downloaded,
+            skipped: installed.libraries - installed.downloaded,
+            processors: installed.processors,
+            timestamp: new Date().toISOString()
+        };
+
+        installEvents.emit('complete', result);
+        return result;
+    } catch (error) {
+        return {
+            success: false,
+            error: error.message
+        };
+    }
+}
+
+module.exports = {
+    getLoaderVersions,
+    installLoader
+};
\ No newline at end of file
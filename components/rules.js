@@ -0,0 +1,125 @@
+const os = require('os');
+const path = require('path');
+
+/**
+ * Returns the operating system name as used in version JSON rules
+ * @returns {string} 'windows', 'osx' or 'linux'
+ */
+function getOsName() {
+    switch (process.platform) {
+        case 'win32':
+            return 'windows';
+        case 'darwin':
+            return 'osx';
+        default:
+            return 'linux';
+    }
+}
+
+/**
+ * Returns the architecture name as used in version JSON rules
+ * @returns {string} 'x86', 'x86_64', 'arm64' or 'arm32'
+ */
+function getArch() {
+    switch (process.arch) {
+        case 'ia32':
+            return 'x86';
+        case 'x64':
+            return 'x86_64';
+        case 'arm':
+            return 'arm32';
+        default:
+            return process.arch;
+    }
+}
+
+function ruleMatches(rule, features) {
+    if (rule.os) {
+        if (rule.os.name && rule.os.name !== getOsName()) {
+            return false;
+        }
+
+        if (rule.os.arch && rule.os.arch !== getArch()) {
+            return false;
+        }
+
+        if (rule.os.version) {
+            try {
+                if (!new RegExp(rule.os.version).test(os.release())) {
+                    return false;
+                }
+            } catch (error) {
+                return false;
+            }
+        }
+    }
+
+    if (rule.features) {
+        for (const [feature, expected] of Object.entries(rule.features)) {
+            if (Boolean(features[feature]) !== expected) {
+                return false;
+            }
+        }
+    }
+
+    return true;
+}
+
+/**
+ * Evaluates a list of version JSON rules for the current platform
+ * @param {Array<Object>} rules - Rules from a library or argument entry
+ * @param {Object} features - Enabled feature flags (e.g. { is_demo_user: true })
+ * @returns {boolean} Whether the entry applies
+ */
+function isAllowed(rules, features = {}) {
+    if (!Array.isArray(rules) || rules.length === 0) {
+        return true;
+    }
+
+    let allowed = false;
+
+    for (const rule of rules) {
+        if (ruleMatches(rule, features)) {
+            allowed = rule.action === 'allow';
+        }
+    }
+
+    return allowed;
+}
+
+/**
+ * Returns the native classifier of a library for the current platform
+ * @param {Object} library - Library entry from a version JSON
+ * @returns {string|null} Classifier name (e.g. 'natives-linux') or null
+ */
+function getNativeClassifier(library) {
+    if (!library.natives || !library.natives[getOsName()]) {
+        return null;
+    }
+
+    const bits = process.arch === 'ia32' || process.arch === 'arm' ? '32' : '64';
+    return library.natives[getOsName()].replace('${arch}', bits);
+}
+
+/**
+ * Converts a Maven coordinate into a relative repository path
+ * @param {string} name - Coordinate in the form group:artifact:version[:classifier][@extension]
+ * @returns {string} Relative path (e.g. 'org/ow2/asm/asm/9.6/asm-9.6.jar')
+ */
+function getLibraryPath(name) {
+    const [coordinate, extension = 'jar'] = name.split('@');
+    const [group, artifact, version, classifier] = coordinate.split(':');
+    const fileName = classifier
+        ? `${artifact}-${version}-${classifier}.${extension}`
+        : `${artifact}-${version}.${extension}`;
+
+    return path.posix.join(...group.split('.'), artifact, version, fileName);
+}
+
+module.exports = {
+    getOsName,
+    getArch,
+    isAllowed,
+    getNativeClassifier,
+    getLibraryPath
+};
\ No newline at end of file
@@ -1,23 +1,14 @@
 const accountManager = require('./accounts');
-const crypto = require('crypto');
 const { v4: uuidv4 } = require('uuid');
+const xboxAuth = require('./xboxAuth');
+const { MOJANG_AUTH_DISCONTINUED, MOJANG_DISCONTINUED_MESSAGE } = require('./errors');
 
 // Endpoint constants
 const ENDPOINTS = {
     MOJANG: {
-        AUTH: 'https://authserver.mojang.com/authenticate',
         SKIN: 'https://api.minecraftservices.com/minecraft/profile/skins',
         CAPE: 'https://api.minecraftservices.com/minecraft/profile/capes/active',
         PROFILE: 'https://api.minecraftservices.com/minecraft/profile'
-    },
-    MICROSOFT: {
-        AUTH: 'https://login.live.com/oauth20_token.srf',
-        XBL: 'https://user.auth.xboxlive.com/user/authenticate',
-        XSTS: 'https://xsts.auth.xboxlive.com/xsts/authorize',
-        MINECRAFT: 'https://api.minecraftservices.com/authentication/login_with_xbox',
-        PROFILE: 'https://api.minecraftservices.com/minecraft/profile',
-        SKIN: 'https://api.minecraftservices.com/minecraft/profile/skins',
-        CAPE: 'https://api.minecraftservices.com/minecraft/profile/capes/active'
     }
 };
 
@@ -27,11 +18,11 @@ const ENDPOINTS = {
  * @param {string} options.skinPath - File path or URL to the skin image
  * @param {boolean} options.slim - Whether to use the slim model (Alex)
  * @param {string} options.uuid - UUID of the account to use, uses active account if not specified
+ * @param {Object} options.accountManager - Account manager of createAccountManager, the default one if not specified
  * @param {string} options.accessToken - Direct access token (bypasses internal auth)
  * @param {Object} options.credentials - Direct authentication credentials
- * @param {string} options.credentials.username - Mojang username or email
- * @param {string} options.credentials.password - Mojang password
- * @param {string} options.credentials.type - 'mojang' (only Mojang supported for direct auth)
+ * @param {string} options.credentials.refreshToken - Microsoft refresh token
+ * @param {string} options.credentials.type - 'microsoft' (legacy Mojang credentials are rejected)
  * @returns {Promise<Object>} Result of the skin update operation
  */
 async function updatePlayerSkin(options = {}) {
@@ -55,9 +46,10 @@ async function updatePlayerSkin(options = {}) {
             accessToken = authResult.accessToken;
             authType = options.credentials.type || 'mojang';
         } else {
+            const manager = options.accountManager || accountManager;
             const authData = options.uuid 
-                ? accountManager.getAuthData(options.uuid) 
-                : accountManager.getAuthData();
+                ? manager.getAuthData(options.uuid) 
+                : manager.getAuthData();
             
             if (!authData) {
                 throw new Error('No authenticated account found');
@@ -126,11 +118,11 @@ async function updatePlayerSkin(options = {}) {
  * @param {Object} options - Options for updating the cape
  * @param {string} options.capeId - ID of the cape to equip (e.g., "MineCon2016")
  * @param {string} options.uuid - UUID of the account to use, uses active account if not specified
+ * @param {Object} options.accountManager - Account manager of createAccountManager, the default one if not specified
  * @param {string} options.accessToken - Direct access token (bypasses internal auth)
  * @param {Object} options.credentials - Direct authentication credentials
- * @param {string} options.credentials.username - Mojang username or email
- * @param {string} options.credentials.password - Mojang password
- * @param {string} options.credentials.type - 'mojang' (only Mojang supported for direct auth)
+ * @param {string} options.credentials.refreshToken - Microsoft refresh token
+ * @param {string} options.credentials.type - 'microsoft' (legacy Mojang credentials are rejected)
  * @returns {Promise<Object>} Result of the cape update operation
  */
 async function updatePlayerCape(options = {}) {
@@ -150,9 +142,10 @@ async function updatePlayerCape(options = {}) {
             }
             accessToken = authResult.accessToken;
         } else {
+            const manager = options.accountManager || accountManager;
             const authData = options.uuid 
-                ? accountManager.getAuthData(options.uuid) 
-                : accountManager.getAuthData();
+                ? manager.getAuthData(options.uuid) 
+                : manager.getAuthData();
             
             if (!authData) {
                 throw new Error('No authenticated account found');
@@ -201,11 +194,11 @@ async function updatePlayerCape(options = {}) {
  * Deletes a player's cape (removes current cape)
  * @param {Object} options - Options for deleting the cape
  * @param {string} options.uuid - UUID of the account to use, uses active account if not specified
+ * @param {Object} options.accountManager - Account manager of createAccountManager, the default one if not specified
  * @param {string} options.accessToken - Direct access token (bypasses internal auth)
  * @param {Object} options.credentials - Direct authentication credentials
- * @param {string} options.credentials.username - Mojang username or email
- * @param {string} options.credentials.password - Mojang password
- * @param {string} options.credentials.type - 'mojang' (only Mojang supported for direct auth)
+ * @param {string} options.credentials.refreshToken - Microsoft refresh token
+ * @param {string} options.credentials.type - 'microsoft' (legacy Mojang credentials are rejected)
  * @returns {Promise<Object>} Result of the cape deletion operation
  */
 async function deletePlayerCape(options = {}) {
@@ -221,9 +214,10 @@ async function deletePlayerCape(options = {}) {
             }
             accessToken = authResult.accessToken;
         } else {
+            const manager = options.accountManager || accountManager;
             const authData = options.uuid 
-                ? accountManager.getAuthData(options.uuid) 
-                : accountManager.getAuthData();
+                ? manager.getAuthData(options.uuid) 
+                : manager.getAuthData();
             
             if (!authData) {
                 throw new Error('No authenticated account found');
@@ -268,6 +262,7 @@ async function deletePlayerCape(options = {}) {
  * Get available capes for the authenticated user
  * @param {Object} options - Options for getting capes
  * @param {string} options.uuid - UUID of the account to use, uses active account if not specified
+ * @param {Object} options.accountManager - Account manager of createAccountManager, the default one if not specified
  * @param {string} options.accessToken - Direct access token (bypasses internal auth)
  * @param {Object} options.credentials - Direct authentication credentials
  * @returns {Promise<Object>} List of available capes for the user
@@ -285,9 +280,10 @@ async function getAvailableCapes(options = {}) {
             }
             accessToken = authResult.accessToken;
         } else {
+            const manager = options.accountManager || accountManager;
             const authData = options.uuid 
-                ? accountManager.getAuthData(options.uuid) 
-                : accountManager.getAuthData();
+                ? manager.getAuthData(options.uuid) 
+                : manager.getAuthData();
             
             if (!authData) {
                 throw new Error('No authenticated account found');
@@ -332,106 +328,86 @@ async function getAvailableCapes(options = {}) {
 }
 
 /**
- * Authenticate directly with Mojang without storing credentials
+ * Authenticate directly without storing credentials
  * @param {Object} credentials - Authentication credentials
- * @param {string} credentials.username - Mojang username/email
- * @param {string} credentials.password - Mojang password
- * @param {string} credentials.type - Auth type ('mojang' only supported for direct)
- * @returns {Promise<Object>} Authentication result with tokens
+ * @param {string} credentials.refreshToken - Microsoft refresh token, for type 'microsoft'
+ * @param {string} credentials.type - Auth type, 'microsoft'; legacy 'mojang' credentials fail with MOJANG_AUTH_DISCONTINUED
+ * @returns {Promise<Object>} Authentication result with tokens, or error with code and redirect
  */
 async function directAuthenticate(credentials) {
+    if (credentials.type === 'microsoft') {
+        return directMicrosoftAuthenticate(credentials);
+    }
+    
+    if (credentials.type && credentials.type !== 'mojang') {
+        return {
+            success: false,
+            error: `Unsupported authentication type for direct mode: ${credentials.type}`
+        };
+    }
+    
+    // authserver.mojang.com no longer authenticates anyone
+    return {
+        success: false,
+        error: `Authentication failed: ${MOJANG_DISCONTINUED_MESSAGE}`,
+        code: MOJANG_AUTH_DISCONTINUED,
+        redirect: null
+    };
+}
+
+async function directMicrosoftAuthenticate(credentials) {
     try {
-        if (!credentials.username || !credentials.password) {
-            return {
-                success: false,
-                error: 'Username and password are required'
-            };
-        }
-        
-        if (credentials.type && credentials.type !== 'mojang') {
+        if (!credentials.refreshToken) {
             return {
                 success: false,
-                error: 'Only Mojang authentication is supported for direct mode'
+                error: 'Microsoft refresh token is required'
             };
         }
         
-        const clientToken = crypto.randomBytes(16).toString('hex');
-        
-        const response = await fetch(ENDPOINTS.MOJANG.AUTH, {
-            method: 'POST',
-            headers: {
-                'Content-Type': 'application/json'
-            },
-            body: JSON.stringify({
-                agent: {
-                    name: 'Minecraft',
-                    version: 1
-                },
-                username: credentials.username,
-                password: credentials.password,
-                clientToken
-            })
+        const tokenData = await xboxAuth.requestMicrosoftToken({
+            refresh_token: credentials.refreshToken,
+            grant_type: 'refresh_token'
         });
         
-        if (!response.ok) {
-            const errorData = await response.json().catch(() => ({}));
-            return {
-                success: false,
-                error: errorData.errorMessage || `Error ${response.status}: ${response.statusText}`
-            };
-        }
-        
-        const data = await response.json();
-        
-        if (!data.accessToken) {
-            return {
-                success: false,
-                error: 'Invalid authentication response'
-            };
-        }
+        const { minecraft } = await xboxAuth.exchangeMicrosoftToken(tokenData.access_token);
+        const profile = await xboxAuth.getMinecraftProfile(minecraft.accessToken);
         
         return {
             success: true,
-            accessToken: data.accessToken,
-            clientToken: data.clientToken,
-            uuid: data.selectedProfile.id,
-            username: data.selectedProfile.name
+            accessToken: minecraft.accessToken,
+            refreshToken: tokenData.refresh_token,
+            expiresAt: minecraft.expiresAt,
+            uuid: profile.id,
+            username: profile.name
         };
     } catch (error) {
         return {
             success: false,
-            error: `Authentication failed: ${error.message}`
+            error: `Authentication failed: ${error.message}`,
+            code: error.code || null,
+            redirect: error.redirect || null
         };
     }
 }
 
 async function validateToken(authData) {
     try {
+        // Offline accounts have no session, legacy Mojang sessions can no longer be validated
+        if (authData.type === 'offline' || authData.type === 'mojang') {
+            return false;
+        }
+        
         if (authData.type === 'microsoft' && authData.expiresAt && authData.expiresAt > Date.now()) {
             return true;
         }
         
-        const endpoint = authData.type === 'mojang' 
-            ? 'https://authserver.mojang.com/validate'
-            : 'https://api.minecraftservices.com/minecraft/profile';
-            
-        const options = {
-            method: authData.type === 'mojang' ? 'POST' : 'GET',
+        const response = await fetch(ENDPOINTS.MOJANG.PROFILE, {
+            method: 'GET',
             headers: {
                 'Authorization': `Bearer ${authData.accessToken}`
             }
-        };
-        
-        if (authData.type === 'mojang') {
-            options.headers['Content-Type'] = 'application/json';
-            options.body = JSON.stringify({
-                accessToken: authData.accessToken,
-                clientToken: authData.clientToken
-            });
-        }
-        
-        const response = await fetch(endpoint, options);
-        return response.status === (authData.type === 'mojang' ? 204 : 200);
+        });
+        return response.status === 200;
     } catch (error) {
         return false;
     }
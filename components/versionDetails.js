@@ -0,0 +1,76 @@
+/**
+ * Retrieves the full metadata of a Minecraft version by following its manifest URL.
+ * The downloaded JSON is checked against the SHA-1 published in the version manifest.
+ * @param {string} id - Version ID (e.g. '1.20.4')
+ * @param {Object} options - Options for getting the version details
+ * @param {boolean} options.forceRefresh - Force fetching fresh data ignoring cache
+ * @returns {Promise<Object>} Parsed version JSON including libraries, assetIndex, downloads,
+ *          mainClass, arguments/minecraftArguments, javaVersion and logging
+ */
+const crypto = require('crypto');
+const { getVersionManifest } = require('./versions');
+
+let detailsCache = new Map();
+
+async function getVersionDetails(id, options = {}) {
+    try {
+        if (!id || typeof id !== 'string') {
+            throw new Error('Version ID is required');
+        }
+
+        if (!options.forceRefresh && detailsCache.has(id)) {
+            return detailsCache.get(id);
+        }
+
+        const manifest = await getVersionManifest(options.forceRefresh);
+        const entry = manifest.find(version => version.id === id);
+
+        if (!entry) {
+            throw new Error(`Version "${id}" not found`);
+        }
+
+        const controller = new AbortController();
+        const timeoutId = setTimeout(() => controller.abort(), 10000);
+
+        try {
+            const response = await fetch(entry.url, {
+                signal: controller.signal
+            });
+
+            if (!response.ok) {
+                throw new Error(`HTTP Error: ${response.status}`);
+            }
+
+            const body = await response.text();
+            clearTimeout(timeoutId);
+
+            if (entry.sha1) {
+                const hash = crypto.createHash('sha1').update(body).digest('hex');
+                if (hash !== entry.sha1) {
+                    throw new Error(`SHA-1 mismatch for version "${id}"`);
+                }
+            }
+
+            const details = JSON.parse(body);
+
+            if (!details.id || !details.mainClass) {
+                throw new Error('Invalid version metadata format');
+            }
+
+            detailsCache.set(id, details);
+            return details;
+        } catch (fetchError) {
+            clearTimeout(timeoutId);
+
+            if (fetchError.name === 'AbortError') {
+                throw new Error('Request timed out');
+            }
+            throw fetchError;
+        }
+    } catch (error) {
+        console.error("Error fetching version details:", error.message);
+        return { error: error.message };
+    }
+}
+
+module.exports = getVersionDetails;
\ No newline at end of file
@@ -10,51 +10,55 @@ let cachedVersions = null;
 let lastFetchTime = null;
 const CACHE_DURATION = 60 * 60 * 1000;
 
-async function getVersions(options = {}) {
-    try {
-        if (options.type && !['release', 'snapshot'].includes(options.type.toLowerCase())) {
-            throw new Error('Invalid version type. Must be "release" or "snapshot"');
-        }
-        
-        const now = Date.now();
-        const useCache = !options.forceRefresh && cachedVersions && lastFetchTime && (now - lastFetchTime < CACHE_DURATION);
+async function getVersionManifest(forceRefresh = false) {
+    const now = Date.now();
+    const useCache = !forceRefresh && cachedVersions && lastFetchTime && (now - lastFetchTime < CACHE_DURATION);
+    
+    if (!useCache) {
+        const controller = new AbortController();
+        const timeoutId = setTimeout(() => controller.abort(), 5000);
         
-        if (!useCache) {
-            const controller = new AbortController();
-            const timeoutId = setTimeout(() => controller.abort(), 5000);
+        try {
+            const response = await fetch('https://launchermeta.mojang.com/mc/game/version_manifest_v2.json', {
+                signal: controller.signal
+            });
             
-            try {
-                const response = await fetch('https://launchermeta.mojang.com/mc/game/version_manifest_v2.json', {
-                    signal: controller.signal
-                });
-                
-                clearTimeout(timeoutId);
-                
-                if (!response.ok) {
-                    throw new Error(`HTTP Error: ${response.status}`);
-                }
-                
-                const data = await response.json();
-                
-                if (!data.versions || !Array.isArray(data.versions)) {
-                    throw new Error('Invalid response format from Mojang API');
-                }
-                
-                cachedVersions = data.versions;
-                lastFetchTime = now;
-            } catch (fetchError) {
-                if (fetchError.name === 'AbortError') {
-                    throw new Error('Request timed out');
-                }
-                throw fetchError;
+            clearTimeout(timeoutId);
+            
+            if (!response.ok) {
+                throw new Error(`HTTP Error: ${response.status}`);
             }
+            
+            const data = await response.json();
+            
+            if (!data.versions || !Array.isArray(data.versions)) {
+                throw new Error('Invalid response format from Mojang API');
+            }
+            
+            cachedVersions = data.versions;
+            lastFetchTime = now;
+        } catch (fetchError) {
+            if (fetchError.name === 'AbortError') {
+                throw new Error('Request timed out');
+            }
+            throw fetchError;
         }
-        
-        if (!cachedVersions) {
-            throw new Error('Failed to retrieve version information');
+    }
+    
+    if (!cachedVersions) {
+        throw new Error('Failed to retrieve version information');
+    }
+    
+    return cachedVersions;
+}
+
+async function getVersions(options = {}) {
+    try {
+        if (options.type && !['release', 'snapshot'].includes(options.type.toLowerCase())) {
+            throw new Error('Invalid version type. Must be "release" or "snapshot"');
         }
         
-        let filteredVersions = cachedVersions;
+        let filteredVersions = await getVersionManifest(options.forceRefresh);
         
         if (options.type) {
             const requestedType = options.type.toLowerCase();
@@ -74,4 +78,5 @@ async function getVersions(options = {}) {
     }
 }
 
-module.exports = getVersions;
\ No newline at end of file
+module.exports = getVersions;
+module.exports.getVersionManifest = getVersionManifest;
\ No newline at end of file
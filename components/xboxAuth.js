@@ -0,0 +1,264 @@
+const { AuthError, XboxAuthError } = require('./errors');
+
+const ENDPOINTS = {
+    TOKEN: 'https://login.live.com/oauth20_token.srf',
+    XBL: 'https://user.auth.xboxlive.com/user/authenticate',
+    XSTS: 'https://xsts.auth.xboxlive.com/xsts/authorize',
+    MINECRAFT: 'https://api.minecraftservices.com/authentication/login_with_xbox',
+    PROFILE: 'https://api.minecraftservices.com/minecraft/profile',
+    ENTITLEMENTS: 'https://api.minecraftservices.com/entitlements/mcstore'
+};
+
+const JAVA_EDITION_ENTITLEMENTS = ['product_minecraft', 'game_minecraft'];
+const GAME_PASS_ENTITLEMENTS = ['product_game_pass_pc', 'product_game_pass_ultimate'];
+
+const XSTS_ERRORS = {
+    2148916233: {
+        code: 'NO_XBOX_ACCOUNT',
+        message: 'The Microsoft account does not have an Xbox account'
+    },
+    2148916235: {
+        code: 'REGION_BANNED',
+        message: 'Xbox Live is not available in the country of this account'
+    },
+    2148916236: {
+        code: 'ADULT_VERIFICATION_REQUIRED',
+        message: 'The account needs adult verification on the Xbox page'
+    },
+    2148916237: {
+        code: 'ADULT_VERIFICATION_REQUIRED',
+        message: 'The account needs adult verification on the Xbox page'
+    },
+    2148916238: {
+        code: 'CHILD_ACCOUNT',
+        message: 'The account is a child account and must be added to a Family by an adult'
+    }
+};
+
+function getClientId() {
+    const clientId = process.env.MS_CLIENT_ID;
+    if (!clientId) {
+        throw new Error('Microsoft client ID is not configured');
+    }
+    return clientId;
+}
+
+/**
+ * Requests a Microsoft OAuth token (authorization code or refresh token grant)
+ * @param {Object} params - Grant parameters sent with the client ID
+ * @param {string} tokenUrl - Token endpoint, defaults to login.live.com. Refresh tokens have to go to the endpoint that issued them.
+ * @returns {Promise<Object>} Raw token response with access_token, refresh_token and expires_in
+ */
+async function requestMicrosoftToken(params, tokenUrl = ENDPOINTS.TOKEN) {
+    const response = await fetch(tokenUrl, {
+        method: 'POST',
+        headers: {
+            'Content-Type': 'application/x-www-form-urlencoded'
+        },
+        body: new URLSearchParams({
+            client_id: getClientId(),
+            ...params
+        })
+    });
+
+    if (!response.ok) {
+        const errorData = await response.json().catch(() => ({}));
+
+        if (errorData.error === 'invalid_grant') {
+            throw new AuthError('The Microsoft sign-in has expired or was revoked', 'INVALID_GRANT');
+        }
+        throw new Error(`Failed to get Microsoft token: ${response.status}`);
+    }
+
+    return response.json();
+}
+
+/**
+ * Exchanges a Microsoft access token for an Xbox Live user token
+ * @param {string} msAccessToken - Microsoft OAuth access token
+ * @returns {Promise<{ token: string, userHash: string, expiresAt: number }>} Xbox Live token
+ */
+async function authenticateXboxLive(msAccessToken) {
+    const response = await fetch(ENDPOINTS.XBL, {
+        method: 'POST',
+        headers: {
+            'Content-Type': 'application/json',
+            'Accept': 'application/json'
+        },
+        body: JSON.stringify({
+            Properties: {
+                AuthMethod: 'RPS',
+                SiteName: 'user.auth.xboxlive.com',
+                RpsTicket: `d=${msAccessToken}`
+            },
+            RelyingParty: 'http://auth.xboxlive.com',
+            TokenType: 'JWT'
+        })
+    });
+
+    if (!response.ok) {
+        throw new Error(`Failed to authenticate with Xbox Live: ${response.status}`);
+    }
+
+    const data = await response.json();
+
+    return {
+        token: data.Token,
+        userHash: data.DisplayClaims.xui[0].uhs,
+        expiresAt: Date.parse(data.NotAfter) || null
+    };
+}
+
+/**
+ * Exchanges an Xbox Live user token for an XSTS token for Minecraft services
+ * @param {string} xblToken - Xbox Live user token
+ * @returns {Promise<{ token: string, userHash: string, expiresAt: number }>} XSTS token
+ * @throws {XboxAuthError} For every known XErr, with the Redirect URL supplied by Xbox
+ */
+async function authorizeXsts(xblToken) {
+    const response = await fetch(ENDPOINTS.XSTS, {
+        method: 'POST',
+        headers: {
+            'Content-Type': 'application/json',
+            'Accept': 'application/json'
+        },
+        body: JSON.stringify({
+            Properties: {
+                SandboxId: 'RETAIL',
+                UserTokens: [xblToken]
+            },
+            RelyingParty: 'rp://api.minecraftservices.com/',
+            TokenType: 'JWT'
+        })
+    });
+
+    if (!response.ok) {
+        const errorData = await response.json().catch(() => ({}));
+        const known = XSTS_ERRORS[errorData.XErr];
+
+        if (known) {
+            throw new XboxAuthError(known.message, known.code, {
+                xerr: errorData.XErr,
+                redirect: errorData.Redirect || null
+            });
+        }
+
+        if (errorData.XErr) {
+            throw new XboxAuthError(`Failed to get XSTS token: XErr ${errorData.XErr}`, 'XSTS_ERROR', {
+                xerr: errorData.XErr,
+                redirect: errorData.Redirect || null
+            });
+        }
+        throw new Error(`Failed to get XSTS token: ${response.status}`);
+    }
+
+    const data = await response.json();
+
+    return {
+        token: data.Token,
+        userHash: data.DisplayClaims.xui[0].uhs,
+        expiresAt: Date.parse(data.NotAfter) || null
+    };
+}
+
+/**
+ * Exchanges an XSTS token for a Minecraft access token
+ * @param {string} userHash - User hash from the XSTS display claims
+ * @param {string} xstsToken - XSTS token
+ * @returns {Promise<{ accessToken: string, expiresAt: number }>} Minecraft access token
+ */
+async function loginWithXbox(userHash, xstsToken) {
+    const response = await fetch(ENDPOINTS.MINECRAFT, {
+        method: 'POST',
+        headers: {
+            'Content-Type': 'application/json'
+        },
+        body: JSON.stringify({
+            identityToken: `XBL3.0 x=${userHash};${xstsToken}`
+        })
+    });
+
+    if (!response.ok) {
+        throw new Error(`Failed to authenticate with Minecraft: ${response.status}`);
+    }
+
+    const data = await response.json();
+
+    return {
+        accessToken: data.access_token,
+        expiresAt: Date.now() + (data.expires_in * 1000)
+    };
+}
+
+/**
+ * Runs the full XBL -> XSTS -> login_with_xbox exchange for a Microsoft access token
+ * @param {string} msAccessToken - Microsoft OAuth access token
+ * @returns {Promise<{ xbl: Object, xsts: Object, minecraft: Object }>} Tokens of every step
+ */
+async function exchangeMicrosoftToken(msAccessToken) {
+    const xbl = await authenticateXboxLive(msAccessToken);
+    const xsts = await authorizeXsts(xbl.token);
+    const minecraft = await loginWithXbox(xsts.userHash || xbl.userHash, xsts.token);
+
+    return { xbl, xsts, minecraft };
+}
+
+/**
+ * Fetches the Minecraft profile of an access token
+ * @param {string} accessToken - Minecraft access token
+ * @returns {Promise<Object>} Profile with id, name, skins and capes
+ */
+async function getMinecraftProfile(accessToken) {
+    const response = await fetch(ENDPOINTS.PROFILE, {
+        headers: {
+            'Authorization': `Bearer ${accessToken}`
+        }
+    });
+
+    if (!response.ok) {
+        if (response.status === 404) {
+            throw new AuthError('You need to buy Minecraft to continue', 'NO_MINECRAFT_PROFILE');
+        }
+        throw new Error(`Failed to get Minecraft profile: ${response.status}`);
+    }
+
+    return response.json();
+}
+
+/**
+ * Fetches the store entitlements of a Minecraft access token and reports game ownership
+ * @param {string} accessToken - Minecraft access token
+ * @returns {Promise<Object>} Entitlements with ownsJavaEdition, gamePass, items and checkedAt
+ */
+async function getEntitlements(accessToken) {
+    const response = await fetch(ENDPOINTS.ENTITLEMENTS, {
+        headers: {
+            'Authorization': `Bearer ${accessToken}`
+        }
+    });
+
+    if (!response.ok) {
+        throw new Error(`Failed to get entitlements: ${response.status}`);
+    }
+
+    const data = await response.json();
+    const items = (data.items || []).map(item => item.name);
+
+    return {
+        ownsJavaEdition: items.some(name => JAVA_EDITION_ENTITLEMENTS.includes(name)),
+        gamePass: items.some(name => GAME_PASS_ENTITLEMENTS.includes(name)),
+        items,
+        checkedAt: Date.now()
+    };
+}
+
+module.exports = {
+    XSTS_ERRORS,
+    requestMicrosoftToken,
+    authenticateXboxLive,
+    authorizeXsts,
+    loginWithXbox,
+    exchangeMicrosoftToken,
+    getMinecraftProfile,
+    getEntitlements
+};
\ No newline at end of file
@@ -0,0 +1,198 @@
+const { AuthError } = require('./errors');
+
+const API_LOCATION_HEADER = 'x-authlib-injector-api-location';
+
+const apiRoots = new Map();
+
+function normalizeUrl(url) {
+    const withScheme = /^https?:\/\//i.test(url) ? url : `https://${url}`;
+    return withScheme.endsWith('/') ? withScheme : `${withScheme}/`;
+}
+
+/**
+ * Finds the API root of a Yggdrasil server. Servers running authlib-injector point to it with the
+ * X-Authlib-Injector-API-Location header, so users can enter the address of the website.
+ * @param {string} serverUrl - Address entered by the user, with or without https://
+ * @returns {Promise<{ apiRoot: string, metadata: Object }>} API root ending with a slash and the server metadata
+ */
+async function resolveApiRoot(serverUrl) {
+    if (!serverUrl) {
+        throw new Error('Authentication server URL is required');
+    }
+
+    let apiRoot = normalizeUrl(serverUrl);
+
+    if (apiRoots.has(apiRoot)) {
+        return apiRoots.get(apiRoot);
+    }
+
+    let response = await fetch(apiRoot);
+    const location = response.headers.get(API_LOCATION_HEADER);
+
+    if (location) {
+        const resolved = normalizeUrl(new URL(location, apiRoot).href);
+
+        if (resolved !== apiRoot) {
+            apiRoot = resolved;
+            response = await fetch(apiRoot);
+        }
+    }
+
+    if (!response.ok) {
+        throw new Error(`Failed to get authentication server metadata: ${response.status}`);
+    }
+
+    const metadata = await response.json().catch(() => null);
+    if (!metadata || !metadata.meta) {
+        throw new Error('The address is not a Yggdrasil authentication server');
+    }
+
+    const result = { apiRoot, metadata };
+    apiRoots.set(normalizeUrl(serverUrl), result);
+    apiRoots.set(apiRoot, result);
+
+    return result;
+}
+
+async function post(apiRoot, endpoint, body) {
+    const response = await fetch(new URL(endpoint, apiRoot).href, {
+        method: 'POST',
+        headers: {
+            'Content-Type': 'application/json'
+        },
+        body: JSON.stringify(body)
+    });
+
+    if (!response.ok) {
+        const errorData = await response.json().catch(() => ({}));
+        throw new AuthError(
+            errorData.errorMessage || `Error ${response.status}: ${response.statusText}`,
+            errorData.error || 'YGGDRASIL_ERROR',
+            { status: response.status }
+        );
+    }
+
+    if (response.status === 204) {
+        return null;
+    }
+
+    return response.json();
+}
+
+/**
+ * Signs in with a username or email and password
+ * @param {string} apiRoot - API root returned by resolveApiRoot
+ * @param {string} username - Username or email
+ * @param {string} password - Password
+ * @param {string} clientToken - Client token to bind the session to
+ * @returns {Promise<Object>} Session with accessToken, clientToken, availableProfiles and selectedProfile
+ */
+function authenticate(apiRoot, username, password, clientToken) {
+    return post(apiRoot, 'authserver/authenticate', {
+        agent: {
+            name: 'Minecraft',
+            version: 1
+        },
+        username,
+        password,
+        clientToken,
+        requestUser: true
+    });
+}
+
+/**
+ * Exchanges an access token for a new one, optionally binding it to a profile
+ * @param {string} apiRoot - API root returned by resolveApiRoot
+ * @param {Object} session - Session with accessToken and clientToken
+ * @param {Object} selectedProfile - Profile { id, name } to bind, for tokens without a profile
+ * @returns {Promise<Object>} Refreshed session
+ */
+function refresh(apiRoot, session, selectedProfile = null) {
+    const body = {
+        accessToken: session.accessToken,
+        clientToken: session.clientToken,
+        requestUser: true
+    };
+
+    if (selectedProfile) {
+        body.selectedProfile = {
+            id: selectedProfile.id,
+            name: selectedProfile.name
+        };
+    }
+
+    return post(apiRoot, 'authserver/refresh', body);
+}
+
+/**
+ * Checks whether an access token can still be used to join servers
+ * @returns {Promise<boolean>} Whether the token is valid
+ */
+async function validate(apiRoot, accessToken, clientToken) {
+    try {
+        await post(apiRoot, 'authserver/validate', { accessToken, clientToken });
+        return true;
+    } catch (error) {
+        if (error instanceof AuthError) {
+            return false;
+        }
+        throw error;
+    }
+}
+
+/**
+ * Revokes a single access token
+ */
+async function invalidate(apiRoot, accessToken, clientToken) {
+    await post(apiRoot, 'authserver/invalidate', { accessToken, clientToken });
+    return true;
+}
+
+/**
+ * Revokes every access token of a user
+ */
+async function signout(apiRoot, username, password) {
+    await post(apiRoot, 'authserver/signout', { username, password });
+    return true;
+}
+
+/**
+ * Whether a session still has to be bound to one of several profiles
+ * @param {Object} session - Result of authenticate or refresh
+ * @returns {boolean} True if no profile is selected but profiles are available
+ */
+function requiresProfileSelection(session) {
+    return Boolean(session && !session.selectedProfile
+        && Array.isArray(session.availableProfiles) && session.availableProfiles.length > 0);
+}
+
+/**
+ * Binds a session without a profile to one of its available profiles
+ * @param {string} apiRoot - API root returned by resolveApiRoot
+ * @param {Object} session - Result of authenticate
+ * @param {string|Object} profile - Profile, or its ID or name
+ * @returns {Promise<Object>} Session with selectedProfile
+ */
+async function selectProfile(apiRoot, session, profile) {
+    const profiles = session.availableProfiles || [];
+    const selected = typeof profile === 'string'
+        ? profiles.find(p => p.id === profile || p.name === profile)
+        : profiles.find(p => profile && p.id === profile.id);
+
+    if (!selected) {
+        throw new Error('Profile is not available for this account');
+    }
+
+    return refresh(apiRoot, session, selected);
+}
+
+module.exports = {
+    resolveApiRoot,
+    authenticate,
+    refresh,
+    validate,
+    invalidate,
+    signout,
+    requiresProfileSelection,
+    selectProfile
+};
\ No newline at end of file
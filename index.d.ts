@@ -10,6 +10,89 @@ declare module "dilial-api" {
         forceRefresh?: boolean;
     }
 
+    export interface VersionDetailsOptions {
+        forceRefresh?: boolean;
+    }
+
+    export interface Rule {
+        action: 'allow' | 'disallow';
+        os?: {
+            name?: string;
+            version?: string;
+            arch?: string;
+        };
+        features?: Record<string, boolean>;
+    }
+
+    export interface DownloadInfo {
+        sha1: string;
+        size: number;
+        url: string;
+    }
+
+    export interface Artifact extends DownloadInfo {
+        path: string;
+    }
+
+    export interface Library {
+        name: string;
+        downloads?: {
+            artifact?: Artifact;
+            classifiers?: Record<string, Artifact>;
+        };
+        natives?: Record<string, string>;
+        extract?: {
+            exclude?: string[];
+        };
+        rules?: Rule[];
+        url?: string;
+    }
+
+    export type Argument = string | {
+        rules: Rule[];
+        value: string | string[];
+    };
+
+    export interface VersionDetails {
+        id: string;
+        type: string;
+        time: string;
+        releaseTime: string;
+        mainClass: string;
+        inheritsFrom?: string;
+        jar?: string;
+        minecraftArguments?: string;
+        arguments?: {
+            game: Argument[];
+            jvm: Argument[];
+        };
+        assets: string;
+        assetIndex: DownloadInfo & {
+            id: string;
+            totalSize: number;
+        };
+        downloads: {
+            client: DownloadInfo;
+            server?: DownloadInfo;
+            client_mappings?: DownloadInfo;
+            server_mappings?: DownloadInfo;
+        };
+        libraries: Library[];
+        javaVersion?: {
+            component: string;
+            majorVersion: number;
+        };
+        logging?: {
+            client?: {
+                argument: string;
+                file: DownloadInfo & { id: string };
+                type: string;
+            };
+        };
+        complianceLevel?: number;
+        minimumLauncherVersion?: number;
+    }
+
     export interface PlayerSkin {
         uuid: string;
         username: string;
@@ -62,40 +145,92 @@ declare module "dilial-api" {
         type?: 'mojang';
     }
 
+    export interface MicrosoftCredentials {
+        refreshToken: string;
+        type: 'microsoft';
+    }
+
+    export type DirectCredentials = MojangCredentials | MicrosoftCredentials;
+
     export interface DirectAuthResult {
         success: boolean;
         accessToken?: string;
         clientToken?: string;
+        refreshToken?: string;
+        expiresAt?: number;
         uuid?: string;
         username?: string;
         error?: string;
+        code?: AuthErrorCode | null;
+        redirect?: string | null;
+    }
+
+    export type AuthErrorCode =
+        | 'INVALID_GRANT'
+        | 'NO_XBOX_ACCOUNT'
+        | 'REGION_BANNED'
+        | 'ADULT_VERIFICATION_REQUIRED'
+        | 'CHILD_ACCOUNT'
+        | 'XSTS_ERROR'
+        | 'NO_MINECRAFT_PROFILE'
+        | 'PROFILE_SELECTION_REQUIRED'
+        | 'MOJANG_AUTH_DISCONTINUED';
+
+    export class AuthError extends Error {
+        constructor(message: string, code: AuthErrorCode | string, details?: Record<string, unknown>);
+        code: AuthErrorCode | string;
+    }
+
+    export class XboxAuthError extends AuthError {
+        xerr: number;
+        redirect: string | null;
+    }
+
+    export type StorageErrorCode =
+        | 'CORRUPTED'
+        | 'DECRYPT_FAILED'
+        | 'UNSUPPORTED_VERSION'
+        | 'KEY_MISSING'
+        | 'READ_FAILED'
+        | 'LOCKED'
+        | 'LOCK_FAILED';
+
+    export class StorageError extends Error {
+        constructor(message: string, code: StorageErrorCode | string, details?: Record<string, unknown>);
+        code: StorageErrorCode | string;
+        backupAvailable?: boolean;
+        version?: number;
     }
 
     export interface SkinUpdateOptions {
         skinPath: string;
         slim?: boolean;
         uuid?: string;
+        accountManager?: AccountManager;
         accessToken?: string;
-        credentials?: MojangCredentials;
+        credentials?: DirectCredentials;
     }
 
     export interface CapeUpdateOptions {
         capeId: string;
         uuid?: string;
+        accountManager?: AccountManager;
         accessToken?: string;
-        credentials?: MojangCredentials;
+        credentials?: DirectCredentials;
     }
 
     export interface CapeDeleteOptions {
         uuid?: string;
+        accountManager?: AccountManager;
         accessToken?: string;
-        credentials?: MojangCredentials;
+        credentials?: DirectCredentials;
     }
 
     export interface CapeListOptions {
         uuid?: string;
+        accountManager?: AccountManager;
         accessToken?: string;
-        credentials?: MojangCredentials;
+        credentials?: DirectCredentials;
     }
 
     export interface AvailableCapes {
@@ -116,11 +251,23 @@ declare module "dilial-api" {
         timestamp?: string;
     }
 
+    export interface AccountSettings {
+        nickname: string | null;
+        preferredProfile: string | null;
+        skinVariant: 'classic' | 'slim' | null;
+        lastServer: string | null;
+        jvmArgs: string[];
+    }
+
+    export type AccountSettingsChanges = { [K in keyof AccountSettings]?: AccountSettings[K] | null };
+
     export interface Account {
         uuid: string;
         username: string;
+        nickname: string | null;
         type: string;
         active: boolean;
+        needsReauth: boolean;
         lastUsed: string;
     }
 
@@ -131,17 +278,260 @@ declare module "dilial-api" {
         username: string;
         refreshToken?: string;
         expiresAt?: number;
+        tokens?: MicrosoftTokens | null;
         profile?: any;
+        entitlements?: Entitlements | null;
+        demo?: boolean;
+        authServer?: string | null;
+        needsReauth?: boolean;
+        settings?: AccountSettingsChanges;
         type: string;
     }
 
+    export interface AccountProfileInfo {
+        uuid: string;
+        username: string;
+        profile: any;
+        entitlements: Entitlements | null;
+        demo: boolean;
+    }
+
+    export interface AccountEvents {
+        added: [account: Account];
+        removed: [account: Account];
+        activeChanged: [account: Account | null, previousUuid: string | null];
+        tokensUpdated: [update: { uuid: string; expiresAt: number | null; needsReauth: boolean }];
+        profileUpdated: [update: AccountProfileInfo];
+        settingsUpdated: [update: { uuid: string; settings: AccountSettings }];
+        accountsChanged: [accounts: Account[]];
+    }
+
+    export interface AccountManager {
+        ready: Promise<boolean>;
+        addAccount(authData: AuthData): Promise<boolean>;
+        removeAccount(uuid: string): boolean;
+        getAccounts(): Account[];
+        getActiveAccount(): Account | null;
+        setActiveAccount(uuid: string): boolean;
+        getAuthData(uuid?: string): AuthData | null;
+        updateAuthData(uuid: string, authData: Partial<AuthData>): boolean;
+        updateAuthDataAsync(uuid: string, authData: Partial<AuthData>): Promise<boolean>;
+        addOfflineAccount(username: string): Promise<AuthData | null>;
+        getOfflineUUID(username: string): string;
+        isValidOfflineUsername(username: string): boolean;
+        configureStorage(config: StorageConfig): boolean | Promise<boolean>;
+        flushStorage(): Promise<boolean>;
+        unlock(passphrase: string): Promise<boolean>;
+        lock(): boolean;
+        isLocked(): boolean;
+        changePassphrase(currentPassphrase: string, newPassphrase: string): Promise<boolean>;
+        getStorageError(): StorageError | null;
+        restoreFromBackup(passphrase?: string): Promise<boolean>;
+        resetStorage(): Promise<boolean>;
+        exportAccounts(passphrase: string): Promise<string | null>;
+        importAccounts(blob: string, passphrase: string, options?: BundleImportOptions): Promise<BundleImportResult>;
+        getSettings(uuid?: string): AccountSettings | null;
+        setSettings(uuid: string, settings: AccountSettingsChanges): boolean;
+        patchSettings(uuid: string, changes: AccountSettingsChanges): boolean;
+        validateSettings(settings: AccountSettingsChanges): string[];
+        subscribe<E extends keyof AccountEvents>(event: E, listener: (...args: AccountEvents[E]) => void): () => void;
+        subscribe(listener: (event: keyof AccountEvents, ...args: any[]) => void): () => void;
+        on<E extends keyof AccountEvents>(event: E, listener: (...args: AccountEvents[E]) => void): this;
+        once<E extends keyof AccountEvents>(event: E, listener: (...args: AccountEvents[E]) => void): this;
+        off<E extends keyof AccountEvents>(event: E, listener: (...args: AccountEvents[E]) => void): this;
+    }
+
+    export interface AuthService {
+        mojangAuthenticate(username: string, password: string, options?: YggdrasilLoginOptions & { authServer?: string }): Promise<AuthData>;
+        getMigrationStatus(): MigrationStatus;
+        yggdrasilAuthenticate(serverUrl: string, username: string, password: string, options?: YggdrasilLoginOptions): Promise<AuthData>;
+        refreshYggdrasilToken(uuid: string): Promise<AuthData>;
+        yggdrasilSignout(serverUrl: string, username: string, password: string): Promise<boolean>;
+        microsoftAuthenticateWithCode(code: string, redirectUri: string, state: string): Promise<AuthData>;
+        microsoftGenerateAuthUrl(redirectUri: string): Promise<AuthorizationUrl>;
+        microsoftLoginWithLoopback(options?: LoopbackLoginOptions): Promise<LoopbackLogin>;
+        microsoftRequestDeviceCode(): Promise<DeviceCode>;
+        microsoftAuthenticateWithDeviceCode(deviceCode: DeviceCode, options?: DeviceCodeOptions): Promise<AuthData>;
+        refreshMicrosoftToken(uuid: string, options?: RefreshOptions): Promise<AuthData>;
+        refreshScheduler: RefreshScheduler;
+        getEntitlements(uuid?: string): Promise<Entitlements & { demo: boolean }>;
+        validateToken(uuid?: string): Promise<boolean>;
+        logoutAccount(uuid?: string): Promise<boolean>;
+        accountManager: AccountManager;
+    }
+
+    export interface BundleImportOptions {
+        mode?: 'merge' | 'replace';
+        onConflict?: 'skip' | 'overwrite' | 'newer';
+    }
+
+    export interface BundleImportResult {
+        success: boolean;
+        imported: string[];
+        conflicts: Array<{ uuid: string; username: string; resolution: 'skipped' | 'overwritten' }>;
+        skipped: Array<{ uuid: string | null; username: string | null; reason: string }>;
+        error?: string;
+    }
+
+    export type ImportSource = 'launcher_accounts' | 'launcher_profiles' | 'prism';
+
+    export interface SkippedAccount {
+        username: string;
+        code: 'MOJANG_AUTH_DISCONTINUED' | 'NO_MINECRAFT_PROFILE' | 'UNSUPPORTED_TYPE' | 'ALREADY_EXISTS' | 'SAVE_FAILED' | string;
+        reason: string;
+    }
+
+    export interface ImportedAccounts {
+        records: Array<AuthData & { active: boolean }>;
+        skipped: SkippedAccount[];
+    }
+
+    export interface ImportOptions {
+        filePath?: string;
+        overwrite?: boolean;
+        accountManager?: AccountManager;
+    }
+
+    export interface ImportResult {
+        success: boolean;
+        imported: Array<{ uuid: string; username: string; type: string; needsReauth: boolean }>;
+        skipped: SkippedAccount[];
+        error?: string;
+    }
+
+    export interface ExportResult {
+        success: boolean;
+        filePath?: string;
+        exported: Array<{ uuid: string; username: string; type: string }>;
+        skipped: SkippedAccount[];
+        error?: string;
+    }
+
+    export interface MigrationStatus {
+        migrationRequired: boolean;
+        accounts: Array<{
+            uuid: string;
+            username: string;
+            active: boolean;
+            code: 'MOJANG_AUTH_DISCONTINUED';
+            message: string;
+        }>;
+    }
+
+    export interface YggdrasilProfile {
+        id: string;
+        name: string;
+    }
+
+    export interface YggdrasilSession {
+        accessToken: string;
+        clientToken: string;
+        availableProfiles?: YggdrasilProfile[];
+        selectedProfile?: YggdrasilProfile;
+        user?: any;
+    }
+
+    export interface YggdrasilServer {
+        apiRoot: string;
+        metadata: { meta: Record<string, any>; skinDomains?: string[]; signaturePublickey?: string };
+    }
+
+    export interface YggdrasilLoginOptions {
+        profile?: string;
+        selectProfile?: (profiles: YggdrasilProfile[]) => YggdrasilProfile | string | Promise<YggdrasilProfile | string>;
+    }
+
+    export interface Entitlements {
+        ownsJavaEdition: boolean;
+        gamePass: boolean;
+        items: string[];
+        checkedAt: number;
+        demo?: boolean;
+    }
+
+    export interface MicrosoftTokens {
+        msa?: { accessToken: string | null; expiresAt: number | null; issuer?: 'live' | 'consumers' };
+        xsts?: { token: string; userHash: string; expiresAt: number | null };
+        minecraft?: { expiresAt: number };
+    }
+
+    export interface RefreshOptions {
+        full?: boolean;
+    }
+
     export interface AuthorizationUrl {
         url: string;
         state: string;
     }
 
+    export interface LoopbackLoginOptions {
+        callbackPath?: string;
+        timeout?: number;
+        successPage?: string | ((authData: AuthData) => string);
+        failurePage?: string | ((error: Error) => string);
+        signal?: AbortSignal;
+    }
+
+    export interface LoopbackLogin {
+        url: string;
+        redirectUri: string;
+        state: string;
+        result: Promise<AuthData>;
+        cancel(): void;
+    }
+
+    export interface DeviceCode {
+        deviceCode: string;
+        userCode: string;
+        verificationUri: string;
+        message?: string;
+        interval: number;
+        expiresIn: number;
+        expiresAt: number;
+    }
+
+    export interface DeviceCodeOptions {
+        signal?: AbortSignal;
+    }
+
+    export interface RefreshSchedulerOptions {
+        margin?: number;
+        resyncInterval?: number;
+        minBackoff?: number;
+        maxBackoff?: number;
+    }
+
+    export interface RefreshedEvent {
+        uuid: string;
+        username: string;
+        expiresAt: number;
+    }
+
+    export interface RefreshFailedEvent {
+        uuid: string;
+        error: Error;
+        attempt: number;
+        retryIn: number;
+    }
+
+    export interface ReauthRequiredEvent {
+        uuid: string;
+        error: AuthError;
+    }
+
+    export interface RefreshScheduler {
+        start(options?: RefreshSchedulerOptions): void;
+        stop(): void;
+        isRunning(): boolean;
+        sync(): void;
+        on(event: 'refreshed', listener: (event: RefreshedEvent) => void): this;
+        on(event: 'refreshFailed', listener: (event: RefreshFailedEvent) => void): this;
+        on(event: 'reauthRequired', listener: (event: ReauthRequiredEvent) => void): this;
+        off(event: string, listener: (...args: any[]) => void): this;
+    }
+
     export interface StorageConfig {
-        type?: 'file' | 'electron' | 'memory' | 'custom';
+        type?: 'file' | 'electron' | 'memory' | 'custom' | 'keychain' | 'async';
         location?: string;
         electronStore?: any;
         customHandler?: {
@@ -149,31 +539,225 @@ declare module "dilial-api" {
             write?: (data: string) => boolean;
             readKey?: () => Buffer | null;
             writeKey?: (key: Buffer) => boolean;
+            deleteKey?: () => unknown;
         };
+        asyncHandler?: {
+            read(): Promise<string | null>;
+            write(data: string): Promise<unknown>;
+            readKey(): Promise<Buffer | string | null>;
+            writeKey(key: Buffer): Promise<unknown>;
+            deleteKey?(): Promise<unknown>;
+        };
+        keychain?: {
+            getPassword(service: string, account: string): Promise<string | null>;
+            setPassword(service: string, account: string, password: string): Promise<void>;
+            deletePassword?(service: string, account: string): Promise<boolean>;
+        } | null;
+        keychainService?: string;
+        passphrase?: boolean;
+        watch?: boolean;
+    }
+
+    export interface InstallOptions {
+        version: string | VersionDetails;
+        directory?: string;
+        gameDirectory?: string;
+        assets?: boolean;
+        concurrency?: number;
+    }
+
+    export interface AssetInstallResult {
+        assetIndex: string;
+        objects: number;
+        downloaded: number;
+        skipped: number;
+    }
+
+    export interface InstallResult {
+        success: boolean;
+        version?: string;
+        directory?: string;
+        files?: number;
+        downloaded?: number;
+        skipped?: number;
+        assets?: AssetInstallResult;
+        timestamp?: string;
+        error?: string;
+    }
+
+    export interface AssetsResult extends Partial<AssetInstallResult> {
+        success: boolean;
+        version?: string;
+        timestamp?: string;
+        error?: string;
+    }
+
+    export interface InstallProgress {
+        version: string;
+        stage: string;
+        file: string;
+        downloaded?: boolean;
+        current: number;
+        total: number;
+    }
+
+    export interface InstallEvents {
+        on(event: 'progress', listener: (progress: InstallProgress) => void): this;
+        on(event: 'complete', listener: (result: InstallResult) => void): this;
+        once(event: 'progress', listener: (progress: InstallProgress) => void): this;
+        once(event: 'complete', listener: (result: InstallResult) => void): this;
+        off(event: string, listener: (...args: any[]) => void): this;
+    }
+
+    export interface MemoryOptions {
+        min?: number | string;
+        max?: number | string;
+    }
+
+    export interface LaunchOptions {
+        version: string | VersionDetails;
+        account?: string | AuthData;
+        accountManager?: AccountManager;
+        directory?: string;
+        gameDir?: string;
+        memory?: number | string | MemoryOptions;
+        javaPath?: string;
+        resolution?: {
+            width: number;
+            height: number;
+        };
+        demo?: boolean;
+        features?: Record<string, boolean>;
+        authlibInjector?: string;
+        jvmArgs?: string[];
+        gameArgs?: string[];
+        versionType?: string;
+        launcherName?: string;
+        launcherVersion?: string;
+        env?: Record<string, string | undefined>;
+        detached?: boolean;
+    }
+
+    export interface LaunchArguments {
+        javaPath: string;
+        args: string[];
+        cwd: string;
+    }
+
+    export interface GameProcess {
+        process: import('child_process').ChildProcess;
+        pid?: number;
+        stdout: import('stream').Readable | null;
+        stderr: import('stream').Readable | null;
+        exited: Promise<{ code: number | null; signal: string | null }>;
+        kill(signal?: string): boolean;
+    }
+
+    export interface JavaInstallation {
+        path: string;
+        home: string;
+        version: string;
+        majorVersion: number;
+        vendor: string;
+        arch: string;
+        is64Bit: boolean;
+    }
+
+    export interface JavaRuntime {
+        component: string;
+        version: string;
+        released: string;
+    }
+
+    export interface JavaRuntimeOptions {
+        component: string;
+        directory?: string;
+        concurrency?: number;
+    }
+
+    export interface JavaRuntimeResult {
+        success: boolean;
+        component?: string;
+        version?: string;
+        home?: string;
+        javaPath?: string;
+        files?: number;
+        downloaded?: number;
+        skipped?: number;
+        timestamp?: string;
+        error?: string;
+    }
+
+    export interface JavaLookupOptions {
+        directory?: string;
+        download?: boolean;
+    }
+
+    export interface JavaLookupResult {
+        success: boolean;
+        javaPath?: string;
+        majorVersion?: number;
+        source?: 'runtime' | 'system';
+        error?: string;
+    }
+
+    export type LoaderName = 'fabric' | 'quilt' | 'forge' | 'neoforge';
+
+    export interface LoaderVersion {
+        version: string;
+        stable: boolean;
+    }
+
+    export interface LoaderInstallOptions {
+        loader: LoaderName;
+        gameVersion: string;
+        loaderVersion?: string;
+        directory?: string;
+        javaPath?: string;
+        assets?: boolean;
+        concurrency?: number;
+    }
+
+    export interface LoaderInstallResult {
+        success: boolean;
+        loader?: LoaderName;
+        gameVersion?: string;
+        loaderVersion?: string;
+        version?: string;
+        directory?: string;
+        libraries?: number;
+        downloaded?: number;
+        skipped?: number;
+        processors?: number;
+        timestamp?: string;
+        error?: string;
     }
 
     export function getVersions(options?: VersionOptions): Promise<Version[] | { error: string }>;
+    export function getVersionDetails(id: string, options?: VersionDetailsOptions): Promise<VersionDetails | { error: string }>;
     export function getPlayerSkin(options: PlayerSkinOptions): Promise<PlayerSkin | { error: string }>;
     export function getPlayerHead(options: PlayerSkinOptions): Promise<PlayerHead | { error: string }>;
     export function getPlayerCape(options: PlayerSkinOptions): Promise<PlayerCape | { error: string }>;
 
-    export const accounts: {
-        addAccount(authData: AuthData): Promise<boolean>;
-        removeAccount(uuid: string): boolean;
-        getAccounts(): Account[];
-        getActiveAccount(): Account | null;
-        setActiveAccount(uuid: string): boolean;
-        getAuthData(uuid?: string): AuthData | null;
-        updateAuthData(uuid: string, authData: Partial<AuthData>): boolean;
+    export const accounts: AccountManager & {
+        createAccountManager(config?: StorageConfig): AccountManager;
     };
+    export function createAccountManager(config?: StorageConfig): AccountManager;
+    export function createAuthService(accountManager?: AccountManager): AuthService;
 
-    export const auth: {
-        mojangAuthenticate(username: string, password: string): Promise<AuthData>;
-        microsoftAuthenticateWithCode(code: string, redirectUri: string): Promise<AuthData>;
-        microsoftGenerateAuthUrl(redirectUri: string): Promise<AuthorizationUrl>;
-        refreshMicrosoftToken(uuid: string): Promise<AuthData>;
-        validateToken(uuid?: string): Promise<boolean>;
-        logoutAccount(uuid?: string): Promise<boolean>;
+    export const auth: AuthService & {
+        createAuthService(accountManager?: AccountManager): AuthService;
+    };
+
+    export const yggdrasil: {
+        resolveApiRoot(serverUrl: string): Promise<YggdrasilServer>;
+        authenticate(apiRoot: string, username: string, password: string, clientToken: string): Promise<YggdrasilSession>;
+        refresh(apiRoot: string, session: { accessToken: string; clientToken: string }, selectedProfile?: YggdrasilProfile | null): Promise<YggdrasilSession>;
+        validate(apiRoot: string, accessToken: string, clientToken: string): Promise<boolean>;
+        invalidate(apiRoot: string, accessToken: string, clientToken: string): Promise<boolean>;
+        signout(apiRoot: string, username: string, password: string): Promise<boolean>;
+        requiresProfileSelection(session: YggdrasilSession): boolean;
+        selectProfile(apiRoot: string, session: YggdrasilSession, profile: string | YggdrasilProfile): Promise<YggdrasilSession>;
     };
 
     export const skinUpdater: {
@@ -181,8 +765,49 @@ declare module "dilial-api" {
         updatePlayerCape(options: CapeUpdateOptions): Promise<UpdateResult>;
         deletePlayerCape(options: CapeDeleteOptions): Promise<UpdateResult>;
         getAvailableCapes(options: CapeListOptions): Promise<AvailableCapes>;
-        directAuthenticate(credentials: MojangCredentials): Promise<DirectAuthResult>;
+        directAuthenticate(credentials: DirectCredentials): Promise<DirectAuthResult>;
+    };
+
+    export const importers: {
+        getDefaultPaths(): Record<ImportSource, string>;
+        readLauncherAccounts(filePath?: string): ImportedAccounts;
+        readLauncherProfiles(filePath?: string): ImportedAccounts;
+        readPrismAccounts(filePath?: string): ImportedAccounts;
+        importAccounts(source: ImportSource, options?: ImportOptions): Promise<ImportResult>;
+        exportPrismAccounts(filePath: string, options?: { accountManager?: AccountManager }): ExportResult;
+    };
+
+    export const installer: {
+        installVersion(options: InstallOptions): Promise<InstallResult>;
+        installAssets(options: Omit<InstallOptions, 'assets'>): Promise<AssetsResult>;
+        installEvents: InstallEvents;
+        loadInstalledVersion(version: string | VersionDetails, directory: string): Promise<VersionDetails>;
+        mergeVersions(parent: VersionDetails, child: VersionDetails): VersionDetails;
+        getDefaultGameDirectory(): string;
+        getVersionDirectory(directory: string, id: string): string;
+        getNativesDirectory(directory: string, id: string): string;
+    };
+
+    export const launcher: {
+        launch(options: LaunchOptions): Promise<GameProcess>;
+        buildLaunchArguments(options: LaunchOptions): Promise<LaunchArguments>;
+    };
+
+    export function launch(options: LaunchOptions): Promise<GameProcess>;
+
+    export const java: {
+        findJavaInstallations(options?: { directory?: string }): Promise<JavaInstallation[]>;
+        getJavaInfo(javaPath: string): Promise<JavaInstallation | null>;
+        getAvailableRuntimes(): Promise<JavaRuntime[] | { error: string }>;
+        installJavaRuntime(options: JavaRuntimeOptions): Promise<JavaRuntimeResult>;
+        getJavaForVersion(version: string | VersionDetails, options?: JavaLookupOptions): Promise<JavaLookupResult>;
+        parseJavaVersionOutput(output: string): Omit<JavaInstallation, 'path' | 'home'> | null;
+    };
+
+    export const loaders: {
+        getLoaderVersions(loader: LoaderName, gameVersion: string): Promise<LoaderVersion[] | { error: string }>;
+        installLoader(options: LoaderInstallOptions): Promise<LoaderInstallResult>;
     };
 
-    export function configureAccountStorage(config: StorageConfig): boolean;
+    export function configureAccountStorage(config: StorageConfig): boolean | Promise<boolean>;
 }
\ No newline at end of file
@@ -1,18 +1,39 @@
 const getVersions = require('./components/versions');
+const getVersionDetails = require('./components/versionDetails');
 const getPlayerSkin = require('./components/skins');
 const getPlayerHead = require('./components/playerHead');
 const getPlayerCape = require('./components/cape');
 const accountManager = require('./components/accounts');
 const authService = require('./components/auth');
+const yggdrasil = require('./components/yggdrasil');
 const skinUpdater = require('./components/skinUpdater');
+const importers = require('./components/importers');
+const installer = require('./components/installer');
+const launcher = require('./components/launcher');
+const java = require('./components/java');
+const loaders = require('./components/loaders');
+const { AuthError, XboxAuthError, StorageError } = require('./components/errors');
 
 module.exports = {
   getVersions,
+  getVersionDetails,
   getPlayerSkin,
   getPlayerHead,
   getPlayerCape,
   accounts: accountManager,
   auth: authService,
+  createAccountManager: accountManager.createAccountManager,
+  createAuthService: authService.createAuthService,
+  yggdrasil,
   skinUpdater,
+  importers,
+  installer,
+  launcher,
+  launch: launcher.launch,
+  java,
+  loaders,
+  AuthError,
+  XboxAuthError,
+  StorageError,
   configureAccountStorage: accountManager.configureStorage
 };